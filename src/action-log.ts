@@ -0,0 +1,42 @@
+import * as _ from 'lodash';
+import { ActionLogEntry } from './types/action-log-entry';
+import { ActionLogSerialized } from './types/action-log-serialized';
+import { GameAction } from './enums/game-action';
+
+export class ActionLog {
+  private entries: ActionLogEntry[] = [];
+
+  constructor(private seed: number = null) {
+  }
+
+  /**
+   * Records the action and performs it. The error, it has been
+   * rejected with, if any, is recorded and re-thrown.
+   *
+   * The entry is recorded up front, so that the actions, performed
+   * by the event listeners in the meantime, are recorded after it.
+   */
+  record<T>(action: GameAction, args: any[], perform: () => T): T {
+    const entry: ActionLogEntry = {action, args, error: null};
+
+    this.entries.push(entry);
+
+    try {
+      return perform();
+    } catch (error) {
+      entry.error = {
+        name: error.constructor.name,
+        code: error.code || null,
+      };
+
+      throw error;
+    }
+  }
+
+  serialize(): ActionLogSerialized {
+    return {
+      seed: this.seed,
+      entries: _.cloneDeep(this.entries),
+    };
+  }
+}
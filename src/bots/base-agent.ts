@@ -0,0 +1,61 @@
+import { IAgent } from '../interfaces/agent';
+import { GameSerialized } from '../types/game-serialized';
+import { QuestSerialized } from '../types/quest-serialized';
+import { Loyalty } from '../enums/loyalty';
+import { RandomGenerator } from '../random-generator';
+
+export abstract class BaseAgent implements IAgent {
+  constructor(protected random: RandomGenerator = new RandomGenerator()) {
+  }
+
+  abstract proposeTeam(view: GameSerialized, playerId: string): string[];
+
+  abstract voteForTeam(view: GameSerialized, playerId: string): boolean;
+
+  abstract voteForQuest(view: GameSerialized, playerId: string): boolean;
+
+  abstract chooseVictim(view: GameSerialized, playerId: string): string;
+
+  abstract chooseInspectionTarget(view: GameSerialized, playerId: string): string;
+
+  protected getLoyalty(view: GameSerialized, playerId: string): string {
+    return view.players.collection.find(p => p.id === playerId).role.loyalty;
+  }
+
+  protected getPlayerIds(view: GameSerialized): string[] {
+    return view.players.collection.map(p => p.id);
+  }
+
+  // the evil players, revealed to the player either
+  // by the role, or by the Lady of the Lake
+  protected getKnownEvilIds(view: GameSerialized): string[] {
+    const inspections = view.players.ladyOfTheLake
+      ? view.players.ladyOfTheLake.inspections
+      : [];
+
+    return this.getPlayerIds(view).filter(id =>
+      view.players.collection.find(p => p.id === id).role.loyalty === Loyalty.Evil
+      || inspections.some(i => i.targetId === id && i.loyalty === Loyalty.Evil),
+    );
+  }
+
+  protected getCurrentQuest(view: GameSerialized): QuestSerialized {
+    return view.quests.collection[view.quests.currentQuestIndex];
+  }
+
+  protected getTeamSize(view: GameSerialized): number {
+    return this.getCurrentQuest(view).votesNeededCount;
+  }
+
+  protected getInspectableIds(view: GameSerialized, playerId: string): string[] {
+    const formerHolderIds = view.players.ladyOfTheLake.formerHolderIds;
+
+    return this.getPlayerIds(view).filter(
+      id => id !== playerId && formerHolderIds.indexOf(id) === -1,
+    );
+  }
+
+  protected pick(ids: string[], count: number): string[] {
+    return this.random.shuffle(ids).slice(0, count);
+  }
+}
@@ -0,0 +1,157 @@
+import * as fromErrors from '../errors';
+import { IGameClientApi } from '../interfaces/game-client-api';
+import { IAgent } from '../interfaces/agent';
+import { GameEvent } from '../enums/game-event';
+import { GameState } from '../enums/game-state';
+import { GameSerialized } from '../types/game-serialized';
+import { RoleId } from '../enums/role-id';
+
+/**
+ * Lets the agents act on behalf of the players, they control,
+ * whenever it's their turn. Each agent is only handed the view
+ * of its own player.
+ */
+export class BotController {
+  private agents: { [playerId: string]: IAgent } = {};
+  private isActing: boolean = false;
+  private isDirty: boolean  = false;
+
+  constructor(private client: IGameClientApi) {
+    this.client.on(GameEvent.StateChange, this.onStateChange);
+  }
+
+  control(playerId: string, agent: IAgent) {
+    this.agents[playerId] = agent;
+
+    this.onStateChange();
+  }
+
+  release(playerId: string) {
+    delete this.agents[playerId];
+  }
+
+  isControlled(playerId: string) {
+    return !!this.agents[playerId];
+  }
+
+  dispose() {
+    this.client.off(GameEvent.StateChange, this.onStateChange);
+
+    this.agents = {};
+  }
+
+  // the actions of the agents cause further state changes,
+  // which are handled in a loop, instead of recursively
+  private onStateChange = () => {
+    this.isDirty = true;
+
+    if (this.isActing) return;
+
+    this.isActing = true;
+
+    try {
+      while (this.isDirty) {
+        this.isDirty = false;
+
+        Object.keys(this.agents).forEach(id => this.tryToAct(id, this.agents[id]));
+      }
+    } finally {
+      this.isActing = false;
+    }
+  };
+
+  // A rejected action of a bot is dropped, instead of being thrown out
+  // of the listener, i.e. into the call of whoever has caused the state
+  // change, or into a scheduler callback. The bot retries on the next one.
+  private tryToAct(playerId: string, agent: IAgent) {
+    try {
+      this.act(playerId, agent);
+    } catch (error) {
+      if (!(error instanceof fromErrors.BaseError)) {
+        throw error;
+      }
+    }
+  }
+
+  private act(playerId: string, agent: IAgent) {
+    const view = this.getView(playerId);
+
+    if (!view || view.isPaused || view.pendingTransition) return;
+
+    switch (view.state) {
+      case GameState.TeamProposition:
+        return this.proposeTeam(view, playerId, agent);
+      // the pre-approved teams are voted for automatically
+      case GameState.TeamVoting:
+        return this.voteForTeam(view, playerId, agent);
+      case GameState.QuestVoting:
+        return this.voteForQuest(view, playerId, agent);
+      case GameState.LadyOfTheLake:
+        return this.inspectLoyalty(view, playerId, agent);
+      case GameState.Assassination:
+        return this.assassinate(view, playerId, agent);
+    }
+  }
+
+  private getView(playerId: string): GameSerialized {
+    try {
+      return this.client.serialize(playerId);
+    } catch (error) {
+      if (error instanceof fromErrors.PlayerMissingError) return null;
+
+      throw error;
+    }
+  }
+
+  private proposeTeam(view: GameSerialized, playerId: string, agent: IAgent) {
+    if (view.players.leaderId !== playerId) return;
+
+    const teamIds     = agent.proposeTeam(view, playerId);
+    const proposedIds = view.players.proposedPlayerIds;
+
+    proposedIds
+      .filter(id => teamIds.indexOf(id) === -1)
+      .concat(teamIds.filter(id => proposedIds.indexOf(id) === -1))
+      .forEach(id => this.client.toggleTeammateProposition(playerId, id));
+
+    this.client.submitTeam(playerId);
+  }
+
+  private voteForTeam(view: GameSerialized, playerId: string, agent: IAgent) {
+    const quest = view.quests.collection[view.quests.currentQuestIndex];
+
+    if (quest.teamVotes.some(v => v.id === playerId)) return;
+
+    this.client.voteForTeam(playerId, agent.voteForTeam(view, playerId));
+  }
+
+  private voteForQuest(view: GameSerialized, playerId: string, agent: IAgent) {
+    const quest = view.quests.collection[view.quests.currentQuestIndex];
+
+    if (view.players.proposedPlayerIds.indexOf(playerId) === -1) return;
+
+    if (quest.questVotes.some(v => v.id === playerId)) return;
+
+    this.client.voteForQuest(playerId, agent.voteForQuest(view, playerId));
+  }
+
+  private inspectLoyalty(view: GameSerialized, playerId: string, agent: IAgent) {
+    if (view.players.ladyOfTheLake.holderId !== playerId) return;
+
+    this.client.inspectLoyalty(playerId, agent.chooseInspectionTarget(view, playerId));
+  }
+
+  private assassinate(view: GameSerialized, playerId: string, agent: IAgent) {
+    const player = view.players.collection.find(p => p.id === playerId);
+
+    if (player.role.id !== RoleId.Assassin) return;
+
+    const victimId = agent.chooseVictim(view, playerId);
+
+    if (view.players.victimId !== victimId) {
+      this.client.toggleVictimProposition(playerId, victimId);
+    }
+
+    this.client.assassinate(playerId);
+  }
+}
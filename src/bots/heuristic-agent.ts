@@ -0,0 +1,58 @@
+import * as _ from 'lodash';
+import { BaseAgent } from './base-agent';
+import { GameSerialized } from '../types/game-serialized';
+import { Loyalty } from '../enums/loyalty';
+
+/**
+ * Acts upon what the player knows for sure: the good players
+ * keep the known evil players off the teams, whereas the evil
+ * players get onto the teams and fail the quests.
+ */
+export class HeuristicAgent extends BaseAgent {
+  // the player, along with the players not known to be evil
+  proposeTeam(view: GameSerialized, playerId: string): string[] {
+    const knownEvilIds = this.getKnownEvilIds(view);
+    const otherIds     = this.getPlayerIds(view).filter(id => id !== playerId);
+    const trustedIds   = otherIds.filter(id => knownEvilIds.indexOf(id) === -1);
+    const restIds      = _.difference(otherIds, trustedIds);
+
+    return [
+      playerId,
+      ...this.random.shuffle(trustedIds),
+      ...this.random.shuffle(restIds),
+    ].slice(0, this.getTeamSize(view));
+  }
+
+  voteForTeam(view: GameSerialized, playerId: string): boolean {
+    const teamIds      = view.players.proposedPlayerIds;
+    const includesEvil = this.getKnownEvilIds(view).some(id => teamIds.indexOf(id) > -1);
+
+    return this.isGood(view, playerId) ? !includesEvil : includesEvil;
+  }
+
+  voteForQuest(view: GameSerialized, playerId: string): boolean {
+    return this.isGood(view, playerId);
+  }
+
+  chooseVictim(view: GameSerialized, playerId: string): string {
+    const knownEvilIds = this.getKnownEvilIds(view);
+
+    return this.pick(
+      this.getPlayerIds(view).filter(id => id !== playerId && knownEvilIds.indexOf(id) === -1),
+      1,
+    )[0];
+  }
+
+  // prefers the players, whose loyalty is not known yet
+  chooseInspectionTarget(view: GameSerialized, playerId: string): string {
+    const inspectableIds = this.getInspectableIds(view, playerId);
+    const knownEvilIds   = this.getKnownEvilIds(view);
+    const unknownIds     = inspectableIds.filter(id => knownEvilIds.indexOf(id) === -1);
+
+    return this.pick(unknownIds.length ? unknownIds : inspectableIds, 1)[0];
+  }
+
+  private isGood(view: GameSerialized, playerId: string) {
+    return this.getLoyalty(view, playerId) === Loyalty.Good;
+  }
+}
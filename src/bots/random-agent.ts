@@ -0,0 +1,30 @@
+import { BaseAgent } from './base-agent';
+import { GameSerialized } from '../types/game-serialized';
+import { Loyalty } from '../enums/loyalty';
+
+/**
+ * Makes every decision at random, except that the good
+ * players never fail a quest, as the rules require.
+ */
+export class RandomAgent extends BaseAgent {
+  proposeTeam(view: GameSerialized, playerId: string): string[] {
+    return this.pick(this.getPlayerIds(view), this.getTeamSize(view));
+  }
+
+  voteForTeam(view: GameSerialized, playerId: string): boolean {
+    return this.random.next() < 0.5;
+  }
+
+  voteForQuest(view: GameSerialized, playerId: string): boolean {
+    return this.getLoyalty(view, playerId) === Loyalty.Good
+      || this.random.next() < 0.5;
+  }
+
+  chooseVictim(view: GameSerialized, playerId: string): string {
+    return this.pick(this.getPlayerIds(view).filter(id => id !== playerId), 1)[0];
+  }
+
+  chooseInspectionTarget(view: GameSerialized, playerId: string): string {
+    return this.pick(this.getInspectableIds(view, playerId), 1)[0];
+  }
+}
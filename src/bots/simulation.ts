@@ -0,0 +1,77 @@
+import * as _ from 'lodash';
+import { GameClient } from '../game-client';
+import { BotController } from './bot-controller';
+import { HeuristicAgent } from './heuristic-agent';
+import { RandomGenerator } from '../random-generator';
+import { GameStatus } from '../enums/game-status';
+import { SimulationConfig } from '../types/simulation-config';
+import { SimulationReport } from '../types/simulation-report';
+
+const maxSeed = 2 ** 31 - 1;
+
+export class Simulation {
+  /**
+   * Plays the given amount of games headlessly, every player being
+   * controlled by an agent, and reports how often each side wins.
+   *
+   * @throws PlayersAmountIncorrectError
+   * @throws UnknownRoleError
+   * @throws GoodRolesExceededError
+   * @throws EvilRolesExceededError
+   */
+  static run(config: SimulationConfig): SimulationReport {
+    const random = RandomGenerator.fromSeed(
+      config.seed !== undefined && config.seed !== null
+        ? config.seed
+        : RandomGenerator.generateSeed(),
+    );
+
+    const statuses = _.times(config.gamesCount, () => Simulation.play(
+      config,
+      random.integer(0, maxSeed),
+      RandomGenerator.fromSeed(random.integer(0, maxSeed)),
+    ));
+
+    const goodWinsCount = statuses.filter(s => s === GameStatus.Won).length;
+    const evilWinsCount = statuses.filter(s => s === GameStatus.Lost).length;
+
+    return {
+      gamesCount: config.gamesCount,
+      goodWinsCount,
+      evilWinsCount,
+      goodWinRate: config.gamesCount ? goodWinsCount / config.gamesCount : 0,
+      evilWinRate: config.gamesCount ? evilWinsCount / config.gamesCount : 0,
+    };
+  }
+
+  private static play(config: SimulationConfig, seed: number, agentRandom: RandomGenerator): string {
+    const createAgent = config.createAgent || ((random) => new HeuristicAgent(random));
+
+    const client = new GameClient({
+      stateTransitionWaitTimes: {
+        afterTeamProposition: 0,
+        afterTeamVoting: 0,
+        afterQuestVoting: 0,
+      },
+      seed,
+      roleRegistry: config.roleRegistry,
+    });
+
+    const bots = new BotController(client);
+
+    _.times(config.playerCount, (i) => {
+      client.addPlayer(`bot-${i}`);
+
+      bots.control(`bot-${i}`, createAgent(agentRandom));
+    });
+
+    try {
+      client.start(config.roleIds, config.rules);
+
+      return client.serialize('bot-0').meta.status;
+    } finally {
+      bots.dispose();
+      client.dispose();
+    }
+  }
+}
@@ -34,6 +34,9 @@ export const rolesConfig: RolesConfig = {
       RoleId.Merlin,
       RoleId.Morgana,
     ],
+    recommendedRoleIds: [
+      RoleId.Morgana,
+    ],
   },
   [RoleId.Servant_1]: {
     id: RoleId.Servant_1,
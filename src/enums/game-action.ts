@@ -0,0 +1,15 @@
+export enum GameAction {
+  AddPlayer                 = 'addPlayer',
+  RemovePlayer              = 'removePlayer',
+  Start                     = 'start',
+  SubmitTeam                = 'submitTeam',
+  VoteForQuest              = 'voteForQuest',
+  VoteForTeam               = 'voteForTeam',
+  ToggleTeammateProposition = 'toggleTeammateProposition',
+  ResetProposedTeammates    = 'resetProposedTeammates',
+  ToggleVictimProposition   = 'toggleVictimProposition',
+  Assassinate               = 'assassinate',
+  InspectLoyalty            = 'inspectLoyalty',
+  ReplacePlayer             = 'replacePlayer',
+  ExpireDeadline            = 'expireDeadline',
+}
@@ -1,3 +1,19 @@
 export enum GameEvent {
-  StateChange = 'stateChange',
+  StateChange         = 'stateChange',
+  //
+  PlayerJoined        = 'playerJoined',
+  PlayerLeft          = 'playerLeft',
+  LeaderChanged       = 'leaderChanged',
+  TeammateProposed    = 'teammateProposed',
+  TeammateUnproposed  = 'teammateUnproposed',
+  TeamSubmitted       = 'teamSubmitted',
+  TeamVoteCast        = 'teamVoteCast',
+  TeamVoteResolved    = 'teamVoteResolved',
+  QuestResolved       = 'questResolved',
+  VoteTrackerAdvanced = 'voteTrackerAdvanced',
+  VictimProposed      = 'victimProposed',
+  GameFinished        = 'gameFinished',
+  PlayerReplaced      = 'playerReplaced',
+  DeadlineExpired     = 'deadlineExpired',
+  RoleSetupWarning    = 'roleSetupWarning',
 }
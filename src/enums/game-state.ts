@@ -4,6 +4,7 @@ export enum GameState {
   TeamVoting            = 'TeamVoting',
   TeamVotingPreApproved = 'TeamVotingPreApproved',
   QuestVoting           = 'QuestVoting',
+  LadyOfTheLake         = 'LadyOfTheLake',
   Assassination         = 'Assassination',
   GameLost              = 'GameLost',
   GameWon               = 'GameWon',
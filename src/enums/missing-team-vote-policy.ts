@@ -0,0 +1,4 @@
+export enum MissingTeamVotePolicy {
+  Approve = 'Approve',
+  Reject  = 'Reject',
+}
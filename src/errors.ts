@@ -198,3 +198,129 @@ export class DeniedAssassinationError extends BaseError {
     );
   }
 }
+
+export class UnsupportedSnapshotVersionError extends BaseError {
+  constructor() {
+    super(
+      'The snapshot version is not supported.',
+      'ERR_SNAPSHOT_VERSION',
+    );
+  }
+}
+
+export class RequiredSeedError extends BaseError {
+  constructor() {
+    super(
+      'A seed or a source of random numbers is required for the replay.',
+      'ERR_SEED_REQD',
+    );
+  }
+}
+
+export class PausedGameError extends BaseError {
+  constructor() {
+    super(
+      'The game is paused.',
+      'ERR_GAME_PAUSED',
+    );
+  }
+}
+
+export class DisposedGameError extends BaseError {
+  constructor() {
+    super(
+      'The game has been disposed.',
+      'ERR_GAME_DISPOSED',
+    );
+  }
+}
+
+export class NoTimeForInspectionError extends BaseError {
+  constructor() {
+    super(
+      'This is not a loyalty inspection time.',
+      'ERR_NO_INSPECTION',
+    );
+  }
+}
+
+export class DeniedInspectionError extends BaseError {
+  constructor() {
+    super(
+      'You are not allowed to inspect a loyalty.',
+      'ERR_DND_INSPECTION',
+    );
+  }
+}
+
+export class DeniedSelfInspectionError extends BaseError {
+  constructor() {
+    super(
+      'You are not allowed to inspect your own loyalty.',
+      'ERR_DND_SELF_INSPECTION',
+    );
+  }
+}
+
+export class DeniedFormerHolderInspectionError extends BaseError {
+  constructor() {
+    super(
+      'You are not allowed to inspect a former holder of the Lady of the Lake.',
+      'ERR_DND_FORMER_HOLDER_INSPECTION',
+    );
+  }
+}
+
+export class AlreadyExistsRoleError extends BaseError {
+  constructor() {
+    super(
+      'Such a role is already registered.',
+      'ERR_ROLE_EXISTS',
+    );
+  }
+}
+
+export class UnknownRoleError extends BaseError {
+  constructor() {
+    super(
+      'The specified role does not exist.',
+      'ERR_UNKNOWN_ROLE',
+    );
+  }
+}
+
+export class GoodRolesExceededError extends BaseError {
+  constructor() {
+    super(
+      'Too many good roles are requested for this number of players.',
+      'ERR_GOOD_ROLES_EXCEEDED',
+    );
+  }
+}
+
+export class EvilRolesExceededError extends BaseError {
+  constructor() {
+    super(
+      'Too many evil roles are requested for this number of players.',
+      'ERR_EVIL_ROLES_EXCEEDED',
+    );
+  }
+}
+
+export class NoTimeForReplacementError extends BaseError {
+  constructor() {
+    super(
+      'Players can only be replaced while the game is in progress.',
+      'ERR_NO_REPLACEMENT',
+    );
+  }
+}
+
+export class NoTimeForReportError extends BaseError {
+  constructor() {
+    super(
+      'The report is only available once the game is finished.',
+      'ERR_NO_REPORT',
+    );
+  }
+}
@@ -8,9 +8,20 @@ import { PreparationState } from './game-states/preparation-state';
 import { IGameClientApi } from './interfaces/game-client-api';
 import { GameConfig } from './types/game-config';
 import { GameSerialized } from './types/game-serialized';
-import { RoleId } from './enums/role-id';
 import { GameEvent } from './enums/game-event';
 import { IIdentifiable } from './interfaces/identifiable';
+import { GameSnapshot } from './types/game-snapshot';
+import { GameSnapshotMigrator } from './game-snapshot-migrator';
+import { RandomGenerator } from './random-generator';
+import { ActionLog } from './action-log';
+import { ActionLogSerialized } from './types/action-log-serialized';
+import { GameAction } from './enums/game-action';
+import { GameRules } from './types/game-rules';
+import { GameEventListener } from './types/game-event-payloads';
+import { GameSync } from './types/game-sync';
+import { ViewHistory } from './view-history';
+import { GameHistory } from './game-history';
+import { GameReport } from './types/game-report';
 
 const defaultConfig: GameConfig = {
   stateTransitionWaitTimes: {
@@ -22,16 +33,111 @@ const defaultConfig: GameConfig = {
 
 export class GameClient implements IGameClientApi, IIdentifiable {
   private game: Game;
+  private actionLog: ActionLog;
 
-  constructor(config: GameConfig = defaultConfig) {
-    this.game = new Game(
-      new PlayersManager(),
-      new QuestsManager(),
-      new GameMetaData(),
-      new GameStateMachine(config.stateTransitionWaitTimes),
-      new PreparationState(),
+  /**
+   * Creates a new game. The game and its action log are only
+   * passed in by `restore`, which prepares them beforehand.
+   */
+  constructor(
+    config: GameConfig = defaultConfig,
+    game: Game = null,
+    actionLog: ActionLog = null,
+  ) {
+    if (game) {
+      this.game      = game;
+      this.actionLog = actionLog;
+    } else {
+      const {random, seed} = GameClient.createRandom(config);
+
+      this.actionLog = new ActionLog(seed);
+      this.game      = new Game(
+        new PlayersManager(random, config.roleRegistry),
+        new QuestsManager(),
+        new GameMetaData(),
+        GameClient.createFsm(config),
+        new PreparationState(),
+        new EventEmitter(),
+      );
+    }
+
+    this.recordDeadlineExpiries();
+  }
+
+  private static createFsm(config: GameConfig): GameStateMachine {
+    return new GameStateMachine(
+      config.stateTransitionWaitTimes,
+      config.scheduler,
+      config.deadlines,
+    );
+  }
+
+  // The deadlines expire on their own, rather than through a call to
+  // the client, yet they affect the game, so they are recorded as well.
+  // The expiry is announced before its policy is applied, hence the
+  // entry precedes the actions, that the policy causes.
+  private recordDeadlineExpiries() {
+    this.game.on(GameEvent.DeadlineExpired, ({state}) => {
+      this.actionLog.record(GameAction.ExpireDeadline, [state], () => null);
+    });
+  }
+
+  // the seed is null, if a custom source of random numbers is used
+  private static createRandom(config: GameConfig): { random: RandomGenerator, seed: number } {
+    if (config.random) {
+      return {random: new RandomGenerator(config.random), seed: null};
+    }
+
+    const seed = config.seed !== undefined && config.seed !== null
+      ? config.seed
+      : RandomGenerator.generateSeed();
+
+    return {random: RandomGenerator.fromSeed(seed), seed};
+  }
+
+  /**
+   * Rebuilds a game from a snapshot, previously taken by `snapshot`.
+   *
+   * Snapshots of older versions are migrated first. If the game was
+   * frozen at the time, the pending transition resumes with the time
+   * that was left. The random numbers, if any are still needed, come
+   * from the `seed` or the `random` of the config.
+   *
+   * The action log of the restored game starts out empty and has
+   * no seed, since the actions, that led to the snapshot, are not
+   * a part of it. Hence a restored game can not be replayed.
+   *
+   * The house roles are not a part of the snapshot either, so they
+   * have to be registered in the `roleRegistry` of the config.
+   *
+   * @throws UnsupportedSnapshotVersionError
+   * @throws UnknownRoleError
+   */
+  static restore(snapshot: GameSnapshot, config: GameConfig = defaultConfig): GameClient {
+    const migrated = GameSnapshotMigrator.migrate(snapshot);
+    const startingState = migrated.fsm.frozenFrom || migrated.fsm.state;
+
+    const game = new Game(
+      PlayersManager.restore(
+        migrated.players,
+        GameClient.createRandom(config).random,
+        config.roleRegistry,
+      ),
+      QuestsManager.restore(migrated.quests),
+      GameMetaData.restore(migrated.meta),
+      GameClient.createFsm(config),
+      GameStateMachine.createState(startingState),
       new EventEmitter(),
+      startingState,
+      migrated.stateVersion,
+      new ViewHistory(),
+      GameHistory.restore(migrated.history),
     );
+
+    game.getFsm().restore(migrated.fsm);
+
+    // the actions, that led to the snapshot, are unknown
+    return new GameClient(config, game, new ActionLog());
   }
 
   /**
@@ -42,19 +148,43 @@ export class GameClient implements IGameClientApi, IIdentifiable {
   }
 
   /**
-   * Registers an event listener
+   * Registers an event listener. Every event, except for the
+   * `StateChange`, passes its payload to the listener.
    */
-  on(event: GameEvent, cb: () => void) {
+  on<E extends GameEvent>(event: E, cb: GameEventListener<E>) {
     this.game.on(event, cb);
   }
 
   /**
    * Removes an event listener
    */
-  off(event: GameEvent, cb: () => void) {
+  off<E extends GameEvent>(event: E, cb: GameEventListener<E>) {
     this.game.off(event, cb);
   }
 
+  /**
+   * Pauses the game. Any pending state transition is held, and
+   * every action is rejected until the game is resumed.
+   */
+  pause() {
+    this.game.pause();
+  }
+
+  /**
+   * Resumes a paused game.
+   */
+  resume() {
+    this.game.resume();
+  }
+
+  /**
+   * Cancels any pending state transition and removes every event
+   * listener. Every further action is rejected.
+   */
+  dispose() {
+    this.game.dispose();
+  }
+
   /**
    * Adds a new player to the game.
    *
@@ -65,7 +195,11 @@ export class GameClient implements IGameClientApi, IIdentifiable {
    * @throws PlayersMaximumReachedError
    */
   addPlayer(id: string) {
-    this.game.addPlayer(id);
+    this.actionLog.record(
+      GameAction.AddPlayer,
+      [id],
+      () => this.game.addPlayer(id),
+    );
   }
 
   /**
@@ -76,19 +210,31 @@ export class GameClient implements IGameClientApi, IIdentifiable {
    * @throws AlreadyStartedGameError
    */
   removePlayer(id: string) {
-    this.game.removePlayer(id);
+    this.actionLog.record(
+      GameAction.RemovePlayer,
+      [id],
+      () => this.game.removePlayer(id),
+    );
   }
 
   /**
-   * Starts a game.
+   * Starts a game, optionally with the expansion rules enabled.
    *
-   * There should be enough players.
+   * There should be enough players. The requested roles, along with
+   * Merlin and the Assassin, should fit the number of players.
    *
    * @throws AlreadyStartedGameError
    * @throws PlayersAmountIncorrectError
+   * @throws UnknownRoleError
+   * @throws GoodRolesExceededError
+   * @throws EvilRolesExceededError
    */
-  start(roleIds: RoleId[] = []) {
-    this.game.start(roleIds);
+  start(roleIds: string[] = [], rules: GameRules = {}) {
+    this.actionLog.record(
+      GameAction.Start,
+      [[...roleIds], {...rules}],
+      () => this.game.start(roleIds, rules),
+    );
   }
 
   /**
@@ -102,7 +248,11 @@ export class GameClient implements IGameClientApi, IIdentifiable {
    * @throws RequiredCorrectTeammatesAmountError
    */
   submitTeam(leaderId: string) {
-    this.game.submitTeam(leaderId);
+    this.actionLog.record(
+      GameAction.SubmitTeam,
+      [leaderId],
+      () => this.game.submitTeam(leaderId),
+    );
   }
 
   /**
@@ -115,7 +265,11 @@ export class GameClient implements IGameClientApi, IIdentifiable {
    * @throws AlreadyVotedError
    */
   voteForQuest(id: string, voteValue: boolean) {
-    this.game.voteForQuest(id, voteValue);
+    this.actionLog.record(
+      GameAction.VoteForQuest,
+      [id, voteValue],
+      () => this.game.voteForQuest(id, voteValue),
+    );
   }
 
   /**
@@ -128,7 +282,11 @@ export class GameClient implements IGameClientApi, IIdentifiable {
    * @throws AlreadyVotedError
    */
   voteForTeam(id: string, voteValue: boolean) {
-    this.game.voteForTeam(id, voteValue);
+    this.actionLog.record(
+      GameAction.VoteForTeam,
+      [id, voteValue],
+      () => this.game.voteForTeam(id, voteValue),
+    );
   }
 
   /**
@@ -139,7 +297,11 @@ export class GameClient implements IGameClientApi, IIdentifiable {
    * @throws DeniedTeammatePropositionError
    */
   toggleTeammateProposition(leaderId: string, id: string) {
-    this.game.toggleTeammateProposition(leaderId, id);
+    this.actionLog.record(
+      GameAction.ToggleTeammateProposition,
+      [leaderId, id],
+      () => this.game.toggleTeammateProposition(leaderId, id),
+    );
   }
 
   /**
@@ -149,7 +311,11 @@ export class GameClient implements IGameClientApi, IIdentifiable {
    * @throws DeniedTeammatePropositionError
    */
   resetProposedTeammates(leaderId: string) {
-    this.game.resetProposedTeammates(leaderId);
+    this.actionLog.record(
+      GameAction.ResetProposedTeammates,
+      [leaderId],
+      () => this.game.resetProposedTeammates(leaderId),
+    );
   }
 
   /**
@@ -160,7 +326,11 @@ export class GameClient implements IGameClientApi, IIdentifiable {
    * @throws DeniedSelfSacrificeError
    */
   toggleVictimProposition(assassinsId: string, victimsId: string) {
-    this.game.toggleVictimProposition(assassinsId, victimsId);
+    this.actionLog.record(
+      GameAction.ToggleVictimProposition,
+      [assassinsId, victimsId],
+      () => this.game.toggleVictimProposition(assassinsId, victimsId),
+    );
   }
 
   /**
@@ -171,7 +341,78 @@ export class GameClient implements IGameClientApi, IIdentifiable {
    * @throws RequiredVictimError
    */
   assassinate(assassinsId: string) {
-    this.game.assassinate(assassinsId);
+    this.actionLog.record(
+      GameAction.Assassinate,
+      [assassinsId],
+      () => this.game.assassinate(assassinsId),
+    );
+  }
+
+  /**
+   * Allows the holder of the Lady of the Lake to inspect the loyalty
+   * of another player, which is only revealed to the holder. The
+   * Lady of the Lake is then passed to the inspected player.
+   *
+   * @throws NoTimeForInspectionError
+   * @throws DeniedInspectionError
+   * @throws PlayerMissingError
+   * @throws DeniedSelfInspectionError
+   * @throws DeniedFormerHolderInspectionError
+   */
+  inspectLoyalty(holderId: string, targetId: string) {
+    this.actionLog.record(
+      GameAction.InspectLoyalty,
+      [holderId, targetId],
+      () => this.game.inspectLoyalty(holderId, targetId),
+    );
+  }
+
+  /**
+   * Hands a player's seat, role, votes and propositions over to
+   * a new player id, e.g. once the player has left the game.
+   *
+   * This is only allowed while the game is in progress, though it
+   * is allowed while the game is paused.
+   *
+   * @throws NoTimeForReplacementError
+   * @throws PlayerMissingError
+   * @throws AlreadyExistsPlayerError
+   */
+  replacePlayer(id: string, newId: string) {
+    this.actionLog.record(
+      GameAction.ReplacePlayer,
+      [id, newId],
+      () => this.game.replacePlayer(id, newId),
+    );
+  }
+
+  /**
+   * Expires the deadline of the current phase right away, applying
+   * its expiry policy, e.g. when replaying a game. The phases with no
+   * deadline are not affected.
+   *
+   * @throws PausedGameError
+   * @throws DisposedGameError
+   */
+  expireDeadline() {
+    this.game.expireDeadline();
+  }
+
+  /**
+   * Takes a full, unredacted snapshot of the game, from which
+   * it can later be restored.
+   */
+  snapshot(): GameSnapshot {
+    return this.game.snapshot();
+  }
+
+  /**
+   * Gets every call made through the client so far, in order,
+   * including the rejected ones, along with the random seed.
+   * The log can be fed to `GameReplayer.replay`.
+   */
+  getActionLog(): ActionLogSerialized {
+    return this.actionLog.serialize();
   }
 
   /**
@@ -180,4 +421,33 @@ export class GameClient implements IGameClientApi, IIdentifiable {
   serialize(forId: string): GameSerialized {
     return this.game.serialize(forId);
   }
+
+  /**
+   * Gets the post-game report: the roles and the loyalties of
+   * every player, along with the complete history of the game.
+   *
+   * @throws NoTimeForReportError
+   */
+  getReport(): GameReport {
+    return this.game.getReport();
+  }
+
+  /**
+   * Gets the state version, which increases upon every state change.
+   */
+  getStateVersion(): number {
+    return this.game.getStateVersion();
+  }
+
+  /**
+   * Serializes the game state as a patch (see `JsonPatch.apply`)
+   * to the view, previously synced by the player at the given
+   * version. If that version is too old, or omitted, the view
+   * is serialized in full.
+   *
+   * @throws PlayerMissingError
+   */
+  sync(forId: string, sinceVersion: number = null): GameSync {
+    return this.game.sync(forId, sinceVersion);
+  }
 }
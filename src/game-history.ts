@@ -0,0 +1,121 @@
+import * as _ from 'lodash';
+import { Vote } from './vote';
+import { QuestStatus } from './enums/quest-status';
+import { ProposalSerialized } from './types/proposal-serialized';
+import { QuestResultSerialized } from './types/quest-result-serialized';
+import { AssassinationSerialized } from './types/assassination-serialized';
+import { GameHistorySnapshot } from './types/game-history-snapshot';
+import { GameHistorySerialized } from './types/game-history-serialized';
+
+export class GameHistory {
+  private proposals: ProposalSerialized[]        = [];
+  private questResults: QuestResultSerialized[]  = [];
+  private assassination: AssassinationSerialized = null;
+
+  addProposal(
+    questIndex: number,
+    teamVotingRoundIndex: number,
+    leaderId: string,
+    teammateIds: string[],
+  ) {
+    this.proposals.push({
+      questIndex,
+      teamVotingRoundIndex,
+      leaderId,
+      teammateIds: [...teammateIds],
+      votes: [],
+      approved: null,
+    });
+  }
+
+  resolveProposal(
+    questIndex: number,
+    teamVotingRoundIndex: number,
+    votes: Vote[],
+    approved: boolean,
+  ) {
+    // the proposals made before the history was kept are unknown
+    const proposal = this.proposals.find(p =>
+      p.questIndex === questIndex && p.teamVotingRoundIndex === teamVotingRoundIndex,
+    );
+
+    if (!proposal) return;
+
+    proposal.votes    = votes.map(v => v.serialize());
+    proposal.approved = approved;
+  }
+
+  addQuestResult(
+    questIndex: number,
+    teammateIds: string[],
+    status: QuestStatus,
+    failsCount: number,
+    votes: Vote[],
+  ) {
+    this.questResults.push({
+      questIndex,
+      teammateIds: [...teammateIds],
+      status,
+      failsCount,
+      votes: votes.map(v => v.serialize()),
+    });
+  }
+
+  setAssassination(assassinId: string, victimId: string, succeeded: boolean) {
+    this.assassination = {assassinId, victimId, succeeded};
+  }
+
+  replacePlayerId(id: string, newId: string) {
+    const replace = (playerId: string) => playerId === id ? newId : playerId;
+
+    this.proposals.forEach((p) => {
+      p.leaderId    = replace(p.leaderId);
+      p.teammateIds = p.teammateIds.map(replace);
+      p.votes       = p.votes.map(v => ({...v, id: replace(v.id)}));
+    });
+
+    this.questResults.forEach((q) => {
+      q.teammateIds = q.teammateIds.map(replace);
+      q.votes       = q.votes.map(v => ({...v, id: replace(v.id)}));
+    });
+
+    if (this.assassination) {
+      this.assassination.assassinId = replace(this.assassination.assassinId);
+      this.assassination.victimId   = replace(this.assassination.victimId);
+    }
+  }
+
+  snapshot(): GameHistorySnapshot {
+    return _.cloneDeep({
+      proposals: this.proposals,
+      questResults: this.questResults,
+      assassination: this.assassination,
+    });
+  }
+
+  static restore(snapshot: GameHistorySnapshot): GameHistory {
+    const history = new GameHistory();
+
+    history.proposals     = _.cloneDeep(snapshot.proposals);
+    history.questResults  = _.cloneDeep(snapshot.questResults);
+    history.assassination = _.cloneDeep(snapshot.assassination);
+
+    return history;
+  }
+
+  /**
+   * The team votes are public, once everybody has voted, whereas
+   * the quest votes are only revealed along with the roles.
+   */
+  serialize(questVotesConcealed: boolean): GameHistorySerialized {
+    const serialized = this.snapshot();
+
+    if (questVotesConcealed) {
+      serialized.questResults.forEach((q) => {
+        q.votes = q.votes.map(v => ({id: v.id, value: null}));
+      });
+    }
+
+    return serialized;
+  }
+}
@@ -5,6 +5,8 @@ import { GameMetaDataSerialized } from './types/game-meta-data-serialized';
 import { GameStatus } from './enums/game-status';
 import { LevelPresetId } from './types/level-preset-id';
 import { IIdentifiable } from './interfaces/identifiable';
+import { GameMetaDataSnapshot } from './types/game-meta-data-snapshot';
+import { GameRules } from './types/game-rules';
 
 export class GameMetaData implements IIdentifiable {
   private id: string               = crypto.randomBytes(20).toString('hex');
@@ -14,7 +16,8 @@ export class GameMetaData implements IIdentifiable {
   private levelPreset: LevelPreset = LevelPreset.null();
   // TODO: rethink the simultaneous use of `finishedAt` and `status`
   private status: GameStatus       = GameStatus.Unfinished;
-  private gameCreator: Player      = null;
+  private creatorId: string        = null;
+  private rules: GameRules         = {ladyOfTheLake: false};
 
   getId(): string {
     return this.id;
@@ -24,15 +27,27 @@ export class GameMetaData implements IIdentifiable {
     return this.status;
   }
 
+  // only the id is kept, the player itself is managed by the `PlayersManager`
   setCreatorOnce(gameCreator: Player) {
-    if (this.gameCreator) return;
+    if (this.creatorId) return;
 
-    this.gameCreator = gameCreator;
+    this.creatorId = gameCreator.getId();
   }
 
-  init(levelPresetId: LevelPresetId): LevelPreset {
+  replaceCreatorId(id: string, newId: string) {
+    if (this.creatorId !== id) return;
+
+    this.creatorId = newId;
+  }
+
+  getRules() {
+    return this.rules;
+  }
+
+  init(levelPresetId: LevelPresetId, rules: GameRules = {}): LevelPreset {
     this.startedAt   = new Date();
     this.levelPreset = new LevelPreset(levelPresetId);
+    this.rules       = {ladyOfTheLake: !!rules.ladyOfTheLake};
 
     return this.levelPreset;
   }
@@ -43,6 +58,34 @@ export class GameMetaData implements IIdentifiable {
     this.finishedAt = new Date();
   }
 
+  snapshot(): GameMetaDataSnapshot {
+    return {
+      id: this.id,
+      createdAt: this.createdAt ? this.createdAt.toISOString() : null,
+      startedAt: this.startedAt ? this.startedAt.toISOString() : null,
+      finishedAt: this.finishedAt ? this.finishedAt.toISOString() : null,
+      levelPresetId: this.levelPreset.getId(),
+      status: this.status,
+      creatorId: this.creatorId,
+      rules: {...this.rules},
+    };
+  }
+
+  static restore(snapshot: GameMetaDataSnapshot): GameMetaData {
+    const metaData = new GameMetaData();
+
+    metaData.id          = snapshot.id;
+    metaData.createdAt   = snapshot.createdAt ? new Date(snapshot.createdAt) : null;
+    metaData.startedAt   = snapshot.startedAt ? new Date(snapshot.startedAt) : null;
+    metaData.finishedAt  = snapshot.finishedAt ? new Date(snapshot.finishedAt) : null;
+    metaData.levelPreset = new LevelPreset(snapshot.levelPresetId);
+    metaData.status      = snapshot.status;
+    metaData.creatorId   = snapshot.creatorId;
+    metaData.rules       = {...snapshot.rules};
+
+    return metaData;
+  }
+
   serialize(): GameMetaDataSerialized {
     return {
       id: this.id,
@@ -51,7 +94,8 @@ export class GameMetaData implements IIdentifiable {
       finishedAt: this.finishedAt ? this.finishedAt.toString() : null,
       levelPreset: this.levelPreset.serialize(),
       status: this.status,
-      creatorId: this.gameCreator ? this.gameCreator.getId() : null,
+      creatorId: this.creatorId,
+      rules: {...this.rules},
     };
   }
 }
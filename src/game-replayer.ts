@@ -0,0 +1,73 @@
+import * as fromErrors from './errors';
+import { GameClient } from './game-client';
+import { GameConfig } from './types/game-config';
+import { ActionLogSerialized } from './types/action-log-serialized';
+import { ActionLogEntry } from './types/action-log-entry';
+import { GameAction } from './enums/game-action';
+
+const defaultConfig: GameConfig = {
+  stateTransitionWaitTimes: {
+    afterTeamProposition: 0,
+    afterTeamVoting: 0,
+    afterQuestVoting: 0,
+  },
+};
+
+export class GameReplayer {
+  /**
+   * Feeds the actions of the log into a fresh game, seeded the same
+   * way as the original one.
+   *
+   * The rejected actions are skipped, since they have not affected
+   * the original game. By default the state transitions are instant,
+   * so a transition, pending at the end of the log, is completed.
+   *
+   * @throws RequiredSeedError
+   */
+  static replay(log: ActionLogSerialized, config: GameConfig = defaultConfig): GameClient {
+    if (log.seed === null && !config.random) {
+      throw new fromErrors.RequiredSeedError();
+    }
+
+    const client = new GameClient(
+      log.seed === null ? config : {...config, seed: log.seed, random: undefined},
+    );
+
+    log.entries
+      .filter(entry => !entry.error)
+      .forEach(entry => GameReplayer.perform(client, entry));
+
+    return client;
+  }
+
+  private static perform(client: GameClient, {action, args}: ActionLogEntry) {
+    switch (action) {
+      case GameAction.AddPlayer:
+        return client.addPlayer(args[0]);
+      case GameAction.RemovePlayer:
+        return client.removePlayer(args[0]);
+      case GameAction.Start:
+        return client.start(args[0], args[1]);
+      case GameAction.SubmitTeam:
+        return client.submitTeam(args[0]);
+      case GameAction.VoteForQuest:
+        return client.voteForQuest(args[0], args[1]);
+      case GameAction.VoteForTeam:
+        return client.voteForTeam(args[0], args[1]);
+      case GameAction.ToggleTeammateProposition:
+        return client.toggleTeammateProposition(args[0], args[1]);
+      case GameAction.ResetProposedTeammates:
+        return client.resetProposedTeammates(args[0]);
+      case GameAction.ToggleVictimProposition:
+        return client.toggleVictimProposition(args[0], args[1]);
+      case GameAction.Assassinate:
+        return client.assassinate(args[0]);
+      case GameAction.InspectLoyalty:
+        return client.inspectLoyalty(args[0], args[1]);
+      case GameAction.ReplacePlayer:
+        return client.replacePlayer(args[0], args[1]);
+      case GameAction.ExpireDeadline:
+        return client.expireDeadline();
+    }
+  }
+}
@@ -0,0 +1,34 @@
+import * as fromErrors from './errors';
+import { GameSnapshot } from './types/game-snapshot';
+
+type Migration = (snapshot: GameSnapshot) => GameSnapshot;
+
+export class GameSnapshotMigrator {
+  static readonly currentVersion = 1;
+
+  // Each entry upgrades a snapshot of the given version by one version,
+  // e.g. `1: (snapshot) => ({...snapshot, version: 2, ...})`. None are
+  // needed yet, since only the first version has been released.
+  private static migrations: { [version: number]: Migration } = {};
+
+  static migrate(snapshot: GameSnapshot): GameSnapshot {
+    if (!GameSnapshotMigrator.isSupported(snapshot)) {
+      throw new fromErrors.UnsupportedSnapshotVersionError();
+    }
+
+    let migrated = snapshot;
+    while (migrated.version < GameSnapshotMigrator.currentVersion) {
+      migrated = GameSnapshotMigrator.migrations[migrated.version](migrated);
+    }
+
+    return migrated;
+  }
+
+  private static isSupported(snapshot: GameSnapshot) {
+    if (!snapshot || !Number.isInteger(snapshot.version)) return false;
+
+    if (snapshot.version === GameSnapshotMigrator.currentVersion) return true;
+
+    return !!GameSnapshotMigrator.migrations[snapshot.version];
+  }
+}
@@ -2,6 +2,7 @@ import { Game } from '../game';
 import { BaseState } from './base-state';
 import { GameEvent } from '../enums/game-event';
 import { GameState } from '../enums/game-state';
+import { PlayersManager } from '../players-manager';
 
 export class AssassinationState extends BaseState {
   protected resultsConcealed = true;
@@ -13,14 +14,41 @@ export class AssassinationState extends BaseState {
       victimsId,
     );
 
+    game.emit(GameEvent.VictimProposed, {
+      assassinId: assassinsId,
+      victimId: PlayersManager.getIdOrNull(game.getPlayersManager().getVictim()),
+    });
     game.emit(GameEvent.StateChange);
   }
 
   assassinate(game: Game, assassinsId: string) {
-    const state = game.getPlayersManager().assassinate(assassinsId)
+    const succeeded = game.getPlayersManager().assassinate(assassinsId);
+
+    game.getHistory().setAssassination(
+      assassinsId,
+      game.getPlayersManager().getVictim().getId(),
+      succeeded,
+    );
+
+    const state = succeeded
       ? GameState.GameLost
       : GameState.GameWon;
 
     game.getFsm().transitionTo(state);
   }
+
+  // the proposed victim is assassinated, if any, otherwise
+  // the assassination fails
+  expireDeadline(game: Game) {
+    const assassinsId = game.getPlayersManager().getAssassin().getId();
+
+    if (game.getPlayersManager().getVictim()) {
+      this.assassinate(game, assassinsId);
+
+      return;
+    }
+
+    game.getHistory().setAssassination(assassinsId, null, false);
+    game.getFsm().transitionTo(GameState.GameWon);
+  }
 }
@@ -1,7 +1,9 @@
 import * as fromErrors from '../errors';
 import { Game } from '../game';
-import { RoleId } from '../enums/role-id';
 import { GameSerialized } from '../types/game-serialized';
+import { GameRules } from '../types/game-rules';
+import { GameEvent } from '../enums/game-event';
+import { GameReport } from '../types/game-report';
 
 export abstract class BaseState {
   protected abstract resultsConcealed: boolean = true;
@@ -15,7 +17,7 @@ export abstract class BaseState {
     throw new fromErrors.AlreadyStartedGameError();
   }
 
-  start(game: Game, roleIds: RoleId[]): void {
+  start(game: Game, roleIds: string[], rules: GameRules): void {
     throw new fromErrors.AlreadyStartedGameError();
   }
 
@@ -47,11 +49,38 @@ export abstract class BaseState {
     throw new fromErrors.NoTimeForAssassinationError();
   }
 
+  inspectLoyalty(game: Game, holderId: string, targetId: string): void {
+    throw new fromErrors.NoTimeForInspectionError();
+  }
+
+  replacePlayer(game: Game, id: string, newId: string): void {
+    game.getPlayersManager().replace(id, newId);
+    game.getQuestsManager().replacePlayerId(id, newId);
+    game.getMetaData().replaceCreatorId(id, newId);
+    game.getHistory().replacePlayerId(id, newId);
+
+    game.emit(GameEvent.PlayerReplaced, {formerPlayerId: id, playerId: newId});
+    game.emit(GameEvent.StateChange);
+  }
+
+  // applies the policy of the state, once its deadline expires
+  expireDeadline(game: Game): void {
+  }
+
+  getReport(game: Game): GameReport {
+    throw new fromErrors.NoTimeForReportError();
+  }
+
   serialize(game: Game, forId: string): GameSerialized {
     return {
+      state: game.getFsm().getState(),
       meta: game.getMetaData().serialize(),
       quests: game.getQuestsManager().serialize(this.resultsConcealed),
       players: game.getPlayersManager().serialize(forId, this.rolesConcealed),
+      isPaused: game.getFsm().getIsPaused(),
+      pendingTransition: game.getFsm().serializePendingTransition(),
+      deadline: game.getFsm().serializeDeadline(),
+      history: game.getHistory().serialize(this.rolesConcealed),
     };
   }
 }
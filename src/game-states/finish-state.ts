@@ -1,6 +1,26 @@
+import * as fromErrors from '../errors';
 import { BaseState } from './base-state';
+import { Game } from '../game';
+import { GameReport } from '../types/game-report';
+import { GameStatus } from '../enums/game-status';
+import { Loyalty } from '../enums/loyalty';
 
 export class FinishState extends BaseState {
   protected resultsConcealed = false;
   protected rolesConcealed   = false;
+
+  getReport(game: Game): GameReport {
+    const status = game.getMetaData().getGameStatus();
+
+    return {
+      status,
+      winningLoyalty: status === GameStatus.Won ? Loyalty.Good : Loyalty.Evil,
+      players: game.getPlayersManager().revealRoles(),
+      history: game.getHistory().serialize(false),
+    };
+  }
+
+  replacePlayer(game: Game, id: string, newId: string) {
+    throw new fromErrors.NoTimeForReplacementError();
+  }
 }
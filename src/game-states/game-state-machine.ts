@@ -13,12 +13,34 @@ import { GameState } from '../enums/game-state';
 import { GameStateTransitionWaitTimes } from '../types/game-state-transition-wait-times';
 import { GameEvent } from '../enums/game-event';
 import { IEventListener } from '../interfaces/event-listener';
+import { GameStateMachineSnapshot } from '../types/game-state-machine-snapshot';
+import { PreparationState } from './preparation-state';
+import { LadyOfTheLakeState } from './lady-of-the-lake-state';
+import { IScheduler } from '../interfaces/scheduler';
+import { TimeoutScheduler } from '../schedulers/timeout-scheduler';
+import { PendingTransitionSerialized } from '../types/pending-transition-serialized';
+import { GameEventListener } from '../types/game-event-payloads';
+import { PhaseDeadlines } from '../types/phase-deadlines';
+import { DeadlineSerialized } from '../types/deadline-serialized';
+import { MissingTeamVotePolicy } from '../enums/missing-team-vote-policy';
+
+type Timer = {
+  callback: () => void;
+  firesAt: number;
+  remainingMs: number;
+  cancel: () => void;
+};
 
 export class GameStateMachine implements IEventListener {
   private isInit: boolean;
   private fsm: TypeState.FiniteStateMachine<GameState>;
   private game: Game;
   private eventEmitter: EventEmitter = new EventEmitter();
+  private previousState: GameState   = null;
+  private pending: Timer             = null;
+  private deadline: Timer            = null;
+  private isPaused: boolean          = false;
+  private isDisposed: boolean        = false;
 
   constructor(
     // TODO: import defaults from a config file
@@ -27,6 +49,8 @@ export class GameStateMachine implements IEventListener {
       afterTeamVoting: 5000,
       afterQuestVoting: 5000,
     },
+    private scheduler: IScheduler = new TimeoutScheduler(),
+    private deadlines: PhaseDeadlines = {},
   ) {
   }
 
@@ -55,6 +79,9 @@ export class GameStateMachine implements IEventListener {
     this.fsm.from(GameState.QuestVoting).to(GameState.TeamProposition);
     this.fsm.from(GameState.QuestVoting).to(GameState.Assassination);
     this.fsm.from(GameState.QuestVoting).to(GameState.GameLost);
+    this.fsm.from(GameState.QuestVoting).to(GameState.LadyOfTheLake);
+    //
+    this.fsm.from(GameState.LadyOfTheLake).to(GameState.TeamProposition);
     //
     this.fsm.from(GameState.Assassination).to(GameState.GameLost);
     this.fsm.from(GameState.Assassination).to(GameState.GameWon);
@@ -70,9 +97,7 @@ export class GameStateMachine implements IEventListener {
 
           break;
         case GameState.TeamVoting:
-          this.setState(game, new FrozenState());
-
-          this.waitFor(() => {
+          this.freezeFor(game, () => {
             game.getPlayersManager().reset();
 
             this.setState(game, new TeamPropositionState());
@@ -80,9 +105,7 @@ export class GameStateMachine implements IEventListener {
 
           break;
         case GameState.QuestVoting:
-          this.setState(game, new FrozenState());
-
-          this.waitFor(() => {
+          this.freezeFor(game, () => {
             game.getPlayersManager().reset();
 
             game.getQuestsManager().nextQuest();
@@ -90,6 +113,10 @@ export class GameStateMachine implements IEventListener {
             this.setState(game, new TeamPropositionState());
           }, this.waitTimes.afterQuestVoting);
 
+          break;
+        case GameState.LadyOfTheLake:
+          this.setState(game, new TeamPropositionState());
+
           break;
       }
     });
@@ -97,9 +124,7 @@ export class GameStateMachine implements IEventListener {
     this.fsm.on(GameState.TeamVoting, (from: GameState) => {
       switch (from) {
         case GameState.TeamProposition:
-          this.setState(game, new FrozenState());
-
-          this.waitFor(() => {
+          this.freezeFor(game, () => {
             game.getPlayersManager().setIsSubmitted(true);
 
             this.setState(game, new TeamVotingState());
@@ -112,9 +137,7 @@ export class GameStateMachine implements IEventListener {
     this.fsm.on(GameState.TeamVotingPreApproved, (from: GameState) => {
       switch (from) {
         case GameState.TeamProposition:
-          this.setState(game, new FrozenState());
-
-          this.waitFor(() => {
+          this.freezeFor(game, () => {
             game.getPlayersManager().setIsSubmitted(true);
 
             this.setState(game, new TeamVotingState());
@@ -130,9 +153,7 @@ export class GameStateMachine implements IEventListener {
       switch (from) {
         case GameState.TeamVotingPreApproved:
         case GameState.TeamVoting:
-          this.setState(game, new FrozenState());
-
-          this.waitFor(() => {
+          this.freezeFor(game, () => {
             game.getPlayersManager().resetVotes();
 
             this.setState(game, new QuestVotingState());
@@ -142,12 +163,25 @@ export class GameStateMachine implements IEventListener {
       }
     });
 
-    this.fsm.on(GameState.Assassination, (from: GameState) => {
+    this.fsm.on(GameState.LadyOfTheLake, (from: GameState) => {
       switch (from) {
         case GameState.QuestVoting:
-          this.setState(game, new FrozenState());
+          this.freezeFor(game, () => {
+            game.getPlayersManager().reset();
 
-          this.waitFor(() => {
+            game.getQuestsManager().nextQuest();
+
+            this.setState(game, new LadyOfTheLakeState());
+          }, this.waitTimes.afterQuestVoting);
+
+          break;
+      }
+    });
+
+    this.fsm.on(GameState.Assassination, (from: GameState) => {
+      switch (from) {
+        case GameState.QuestVoting:
+          this.freezeFor(game, () => {
             game.getPlayersManager().reset();
 
             this.setState(game, new AssassinationState());
@@ -165,6 +199,8 @@ export class GameStateMachine implements IEventListener {
 
           this.setState(game, new FinishState());
 
+          game.emit(GameEvent.GameFinished, {status: GameStatus.Lost});
+
           break;
       }
     });
@@ -176,27 +212,136 @@ export class GameStateMachine implements IEventListener {
 
           this.setState(game, new FinishState());
 
+          game.emit(GameEvent.GameFinished, {status: GameStatus.Won});
+
           break;
       }
     });
   }
 
-  private waitFor(cb: () => void, timeoutMs: number) {
-    if (!timeoutMs) {
+  // The pending transition is set up before the frozen state is
+  // entered, so that the listeners of the state change see it.
+  private freezeFor(game: Game, cb: () => void, timeoutMs: number) {
+    if (timeoutMs && !this.isDisposed) {
+      this.pending = this.createTimer(() => {
+        this.pending = null;
+
+        cb();
+      }, timeoutMs);
+    }
+
+    this.setState(game, new FrozenState());
+
+    if (!timeoutMs && !this.isDisposed) {
       cb();
+    }
+  }
+
+  private createTimer(callback: () => void, timeoutMs: number): Timer {
+    const timer: Timer = {
+      callback,
+      firesAt: null,
+      remainingMs: timeoutMs,
+      cancel: null,
+    };
 
-      return;
+    if (!this.isPaused) {
+      this.scheduleTimer(timer);
     }
 
-    setTimeout(() => cb(), timeoutMs);
+    return timer;
+  }
+
+  private scheduleTimer(timer: Timer) {
+    timer.firesAt = this.scheduler.now() + timer.remainingMs;
+    timer.cancel  = this.scheduler.schedule(timer.callback, timer.remainingMs);
+  }
+
+  private unscheduleTimer(timer: Timer) {
+    timer.cancel();
+
+    timer.remainingMs = Math.max(timer.firesAt - this.scheduler.now(), 0);
+    timer.firesAt     = null;
+    timer.cancel      = null;
+  }
+
+  private cancelTimer(timer: Timer) {
+    if (timer && timer.cancel) {
+      timer.cancel();
+    }
   }
 
   private setState(game: Game, state: BaseState) {
     game.setState(state);
 
+    this.clearDeadline();
+
+    if (!(state instanceof FrozenState)) {
+      this.startDeadline();
+    }
+
     this.eventEmitter.emit('stateChange');
   }
 
+  /**
+   * (Re)starts the deadline of the current state, if the state
+   * has one, optionally with the time that was left.
+   */
+  startDeadline(remainingMs: number = null) {
+    this.clearDeadline();
+
+    const timeoutMs = remainingMs !== null
+      ? remainingMs
+      : this.getDeadlineMs(this.fsm.currentState);
+
+    if (this.isDisposed || timeoutMs === null) return;
+
+    this.deadline = this.createTimer(() => {
+      this.deadline = null;
+
+      this.game.expireDeadline();
+    }, timeoutMs);
+  }
+
+  private clearDeadline() {
+    this.cancelTimer(this.deadline);
+
+    this.deadline = null;
+  }
+
+  private getDeadlineMs(state: GameState): number {
+    let timeoutMs: number;
+
+    switch (state) {
+      case GameState.TeamProposition:
+        timeoutMs = this.deadlines.teamProposition;
+
+        break;
+      case GameState.TeamVoting:
+        timeoutMs = this.deadlines.teamVoting;
+
+        break;
+      case GameState.QuestVoting:
+        timeoutMs = this.deadlines.questVoting;
+
+        break;
+      case GameState.LadyOfTheLake:
+        timeoutMs = this.deadlines.ladyOfTheLake;
+
+        break;
+      case GameState.Assassination:
+        timeoutMs = this.deadlines.assassination;
+
+        break;
+    }
+
+    return timeoutMs === undefined ? null : timeoutMs;
+  }
+
+  getMissingTeamVotePolicy(): MissingTeamVotePolicy {
+    return this.deadlines.missingTeamVote || MissingTeamVotePolicy.Reject;
+  }
+
   private simulateTeamApproval(game: Game) {
     game.getPlayersManager()
       .getAll()
@@ -206,14 +351,159 @@ export class GameStateMachine implements IEventListener {
   }
 
   transitionTo(state: GameState) {
+    this.previousState = this.fsm.currentState;
+
     this.fsm.go(state);
   }
 
-  on(gameEvent: GameEvent, cb: () => void) {
+  /**
+   * Holds the pending transition, if any, until resumed.
+   */
+  pause() {
+    if (this.isPaused || this.isDisposed) return;
+
+    this.isPaused = true;
+
+    [this.pending, this.deadline]
+      .filter(timer => timer)
+      .forEach(timer => this.unscheduleTimer(timer));
+
+    this.eventEmitter.emit(GameEvent.StateChange);
+  }
+
+  resume() {
+    if (!this.isPaused || this.isDisposed) return;
+
+    this.isPaused = false;
+
+    [this.pending, this.deadline]
+      .filter(timer => timer)
+      .forEach(timer => this.scheduleTimer(timer));
+
+    this.eventEmitter.emit(GameEvent.StateChange);
+  }
+
+  /**
+   * Cancels the pending transition and the deadline, and
+   * prevents any further ones from being scheduled.
+   */
+  dispose() {
+    this.cancelTimer(this.pending);
+    this.cancelTimer(this.deadline);
+
+    this.pending    = null;
+    this.deadline   = null;
+    this.isDisposed = true;
+
+    this.eventEmitter.removeAllListeners();
+  }
+
+  getState(): GameState {
+    return this.fsm.currentState;
+  }
+
+  getIsPaused() {
+    return this.isPaused;
+  }
+
+  getIsDisposed() {
+    return this.isDisposed;
+  }
+
+  snapshot(): GameStateMachineSnapshot {
+    return {
+      state: this.fsm.currentState,
+      frozenFrom: this.pending ? this.previousState : null,
+      remainingMs: this.pending ? this.getRemainingMs(this.pending) : null,
+      isPaused: this.isPaused,
+      deadlineRemainingMs: this.deadline ? this.getRemainingMs(this.deadline) : null,
+    };
+  }
+
+  /**
+   * Resumes the pending transition and the pause of a restored
+   * game. The machine is expected to be initialized with the
+   * state, the snapshot has been frozen from, if any.
+   */
+  restore(snapshot: GameStateMachineSnapshot) {
+    if (snapshot.frozenFrom) {
+      this.transitionTo(snapshot.state);
+    }
+
+    if (this.pending && snapshot.remainingMs !== null) {
+      this.unscheduleTimer(this.pending);
+
+      this.pending.remainingMs = snapshot.remainingMs;
+
+      this.scheduleTimer(this.pending);
+    }
+
+    // the configured deadline is started, if the snapshot has none,
+    // e.g. the deadlines were off before the restore
+    if (!snapshot.frozenFrom) {
+      this.startDeadline(snapshot.deadlineRemainingMs);
+    }
+
+    if (snapshot.isPaused) {
+      this.pause();
+    }
+  }
+
+  serializePendingTransition(): PendingTransitionSerialized {
+    if (!this.pending) return null;
+
+    return {
+      firesAt: this.pending.firesAt,
+      remainingMs: this.getRemainingMs(this.pending),
+    };
+  }
+
+  serializeDeadline(): DeadlineSerialized {
+    if (!this.deadline) return null;
+
+    return {
+      state: this.fsm.currentState,
+      expiresAt: this.deadline.firesAt,
+      remainingMs: this.getRemainingMs(this.deadline),
+    };
+  }
+
+  private getRemainingMs(timer: Timer) {
+    return timer.firesAt === null
+      ? timer.remainingMs
+      : Math.max(timer.firesAt - this.scheduler.now(), 0);
+  }
+
+  /**
+   * Creates a game state, that corresponds to the given machine
+   * state, assuming that no transition to it is pending.
+   */
+  static createState(state: GameState): BaseState {
+    switch (state) {
+      case GameState.Preparation:
+        return new PreparationState();
+      case GameState.TeamProposition:
+        return new TeamPropositionState();
+      case GameState.TeamVoting:
+      case GameState.TeamVotingPreApproved:
+        return new TeamVotingState();
+      case GameState.QuestVoting:
+        return new QuestVotingState();
+      case GameState.LadyOfTheLake:
+        return new LadyOfTheLakeState();
+      case GameState.Assassination:
+        return new AssassinationState();
+      case GameState.GameLost:
+      case GameState.GameWon:
+        return new FinishState();
+    }
+  }
+
+  on<E extends GameEvent>(gameEvent: E, cb: GameEventListener<E>) {
     this.eventEmitter.addListener(gameEvent, cb);
   }
 
-  off(gameEvent: GameEvent, cb: () => void) {
+  off<E extends GameEvent>(gameEvent: E, cb: GameEventListener<E>) {
     this.eventEmitter.removeListener(gameEvent, cb);
   }
 }
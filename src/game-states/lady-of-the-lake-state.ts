@@ -0,0 +1,19 @@
+import { BaseState } from './base-state';
+import { Game } from '../game';
+import { GameState } from '../enums/game-state';
+
+export class LadyOfTheLakeState extends BaseState {
+  protected resultsConcealed = true;
+  protected rolesConcealed   = true;
+
+  inspectLoyalty(game: Game, holderId: string, targetId: string) {
+    game.getPlayersManager().inspectLoyalty(holderId, targetId);
+
+    game.getFsm().transitionTo(GameState.TeamProposition);
+  }
+
+  // the inspection is skipped, the holder keeps the Lady of the Lake
+  expireDeadline(game: Game) {
+    game.getFsm().transitionTo(GameState.TeamProposition);
+  }
+}
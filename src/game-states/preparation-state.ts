@@ -1,10 +1,13 @@
+import * as fromErrors from '../errors';
 import { Game } from '../game';
 import { Player } from '../player';
 import { BaseState } from './base-state';
 import { LevelPresetId } from '../types/level-preset-id';
-import { RoleId } from '../enums/role-id';
 import { GameEvent } from '../enums/game-event';
 import { GameState } from '../enums/game-state';
+import { GameRules } from '../types/game-rules';
+import { RolesAssigner } from '../roles-assigner';
+import { LevelPreset } from '../level-preset';
 
 export class PreparationState extends BaseState {
   protected resultsConcealed = true;
@@ -16,22 +19,46 @@ export class PreparationState extends BaseState {
     game.getPlayersManager().add(player);
     game.getMetaData().setCreatorOnce(player);
 
+    game.emit(GameEvent.PlayerJoined, {playerId: id});
     game.emit(GameEvent.StateChange);
   }
 
   removePlayer(game: Game, id: string) {
-    game.getPlayersManager().remove(id);
+    if (game.getPlayersManager().remove(id)) {
+      game.emit(GameEvent.PlayerLeft, {playerId: id});
+    }
 
     game.emit(GameEvent.StateChange);
   }
 
-  start(game: Game, roleIds: RoleId[]) {
+  start(game: Game, roleIds: string[], rules: GameRules) {
     const playerCount = game.getPlayersManager().getAll().length as LevelPresetId;
-    const levelPreset = game.getMetaData().init(playerCount);
+
+    const warnings = RolesAssigner.validate(
+      roleIds,
+      new LevelPreset(playerCount),
+      game.getPlayersManager().getRoleRegistry(),
+    );
+
+    const levelPreset = game.getMetaData().init(playerCount, rules);
 
     game.getPlayersManager().assignRoles(levelPreset, roleIds);
     game.getQuestsManager().init(levelPreset);
 
+    warnings.forEach((warning) => game.emit(GameEvent.RoleSetupWarning, warning));
+
+    game.emit(GameEvent.LeaderChanged, {
+      leaderId: game.getPlayersManager().getLeader().getId(),
+    });
+
+    if (game.getMetaData().getRules().ladyOfTheLake) {
+      game.getPlayersManager().assignLadyOfTheLake();
+    }
+
     game.getFsm().transitionTo(GameState.TeamProposition);
   }
+
+  replacePlayer(game: Game, id: string, newId: string) {
+    throw new fromErrors.NoTimeForReplacementError();
+  }
 }
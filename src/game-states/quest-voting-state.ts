@@ -18,6 +18,14 @@ export class QuestVotingState extends BaseState {
     if (!this.questVotingIsOn(game)) {
       const manager = game.getQuestsManager();
 
+      this.recordResult(game);
+
+      game.emit(GameEvent.QuestResolved, {
+        questIndex: manager.getCurrentQuestIndex(),
+        status: manager.getCurrentQuest().getStatus(),
+        failsCount: manager.getCurrentQuest().getFailsCount(),
+      });
+
       if (manager.getFailedQuestsCount() >= 3) {
         game.getFsm().transitionTo(GameState.GameLost);
 
@@ -30,6 +38,12 @@ export class QuestVotingState extends BaseState {
         return;
       }
 
+      if (this.ladyOfTheLakeIsDue(game)) {
+        game.getFsm().transitionTo(GameState.LadyOfTheLake);
+
+        return;
+      }
+
       game.getFsm().transitionTo(GameState.TeamProposition);
 
       return;
@@ -38,6 +52,36 @@ export class QuestVotingState extends BaseState {
     game.emit(GameEvent.StateChange);
   }
 
+  // the missing votes count as a success
+  expireDeadline(game: Game) {
+    const manager = game.getPlayersManager();
+
+    manager.getProposedPlayerIds()
+      .filter(id => manager.questVotingAllowedFor(id))
+      .forEach(id => this.voteForQuest(game, id, true));
+  }
+
+  private recordResult(game: Game) {
+    const quest = game.getQuestsManager().getCurrentQuest();
+
+    game.getHistory().addQuestResult(
+      game.getQuestsManager().getCurrentQuestIndex(),
+      game.getPlayersManager().getProposedPlayerIds(),
+      quest.getStatus(),
+      quest.getFailsCount(),
+      quest.getQuestVotes(),
+    );
+  }
+
+  // the Lady of the Lake is used after the 2nd, 3rd and 4th quests
+  private ladyOfTheLakeIsDue(game: Game) {
+    const questIndex = game.getQuestsManager().getCurrentQuestIndex();
+
+    return game.getMetaData().getRules().ladyOfTheLake
+      && questIndex >= 1
+      && questIndex <= 3;
+  }
+
   // TODO: dry up
   private vote(game: Game, id: string, voteValue: boolean) {
     const vote = game.getPlayersManager().generateVote(id, voteValue);
@@ -13,8 +13,19 @@ export class TeamPropositionState extends BaseState {
       throw new fromErrors.DeniedTeammatePropositionError();
     }
 
+    const wasProposed = this.isProposed(game, id);
+
     game.getPlayersManager().togglePlayerProposition(id);
 
+    const isProposed = this.isProposed(game, id);
+
+    if (isProposed !== wasProposed) {
+      game.emit(
+        isProposed ? GameEvent.TeammateProposed : GameEvent.TeammateUnproposed,
+        {leaderId, playerId: id},
+      );
+    }
+
     game.emit(GameEvent.StateChange);
   }
 
@@ -23,8 +34,14 @@ export class TeamPropositionState extends BaseState {
       throw new fromErrors.DeniedTeammatePropositionError();
     }
 
+    const proposedPlayerIds = game.getPlayersManager().getProposedPlayerIds();
+
     game.getPlayersManager().resetProposedTeammates();
 
+    proposedPlayerIds.forEach((playerId) => {
+      game.emit(GameEvent.TeammateUnproposed, {leaderId, playerId});
+    });
+
     game.emit(GameEvent.StateChange);
   }
 
@@ -37,11 +54,40 @@ export class TeamPropositionState extends BaseState {
       throw new fromErrors.RequiredCorrectTeammatesAmountError();
     }
 
+    const teammateIds = game.getPlayersManager().getProposedPlayerIds();
+
+    game.getHistory().addProposal(
+      game.getQuestsManager().getCurrentQuestIndex(),
+      game.getQuestsManager().getCurrentQuest().getTeamVotingRoundIndex(),
+      leaderId,
+      teammateIds,
+    );
+
+    game.emit(GameEvent.TeamSubmitted, {leaderId, teammateIds});
+
     game.getQuestsManager().isLastRoundOfTeamVoting()
       ? game.getFsm().transitionTo(GameState.TeamVotingPreApproved)
       : game.getFsm().transitionTo(GameState.TeamVoting);
   }
 
+  // the leader's turn passes to the next leader
+  expireDeadline(game: Game) {
+    const manager = game.getPlayersManager();
+
+    manager.resetProposedTeammates();
+    manager.nextLeader();
+
+    game.emit(GameEvent.LeaderChanged, {leaderId: manager.getLeader().getId()});
+
+    game.getFsm().startDeadline();
+
+    game.emit(GameEvent.StateChange);
+  }
+
+  private isProposed(game: Game, id: string) {
+    return game.getPlayersManager().getProposedPlayerIds().indexOf(id) > -1;
+  }
+
   private playerAmountIsIncorrect(game: Game) {
     const proposedPlayersCount = game.getPlayersManager().getProposedPlayersCount();
     const votesNeededCount     = game.getQuestsManager().getVotesNeededCount();
@@ -3,6 +3,7 @@ import { BaseState } from './base-state';
 import { Game } from '../game';
 import { GameState } from '../enums/game-state';
 import { GameEvent } from '../enums/game-event';
+import { MissingTeamVotePolicy } from '../enums/missing-team-vote-policy';
 
 export class TeamVotingState extends BaseState {
   protected resultsConcealed = true;
@@ -15,13 +16,19 @@ export class TeamVotingState extends BaseState {
 
     this.vote(game, id, voteValue);
 
+    game.emit(GameEvent.TeamVoteCast, {playerId: id});
+
     if (game.getQuestsManager().teamVotingSucceeded()) {
+      this.emitResolution(game, true);
+
       game.getFsm().transitionTo(GameState.QuestVoting);
 
       return;
     }
 
     if (game.getQuestsManager().teamVotingRoundFinished()) {
+      this.emitResolution(game, false);
+
       game.getFsm().transitionTo(GameState.TeamProposition);
 
       return;
@@ -30,6 +37,39 @@ export class TeamVotingState extends BaseState {
     game.emit(GameEvent.StateChange);
   }
 
+  // the missing votes count according to the policy
+  expireDeadline(game: Game) {
+    const manager   = game.getPlayersManager();
+    const voteValue = game.getFsm().getMissingTeamVotePolicy() === MissingTeamVotePolicy.Approve;
+
+    manager.getAll()
+      .map(p => p.getId())
+      .filter(id => manager.teamVotingAllowedFor(id))
+      .forEach(id => this.voteForTeam(game, id, voteValue));
+  }
+
+  // a rejection has already moved the vote tracker past the resolved round
+  private emitResolution(game: Game, approved: boolean) {
+    const questsManager        = game.getQuestsManager();
+    const questIndex           = questsManager.getCurrentQuestIndex();
+    const teamVotingRoundIndex = questsManager.getCurrentQuest().getTeamVotingRoundIndex();
+    const resolvedRoundIndex   = approved ? teamVotingRoundIndex : teamVotingRoundIndex - 1;
+    const votes                = questsManager.getCurrentQuest().getTeamVotes(resolvedRoundIndex);
+
+    game.getHistory().resolveProposal(questIndex, resolvedRoundIndex, votes, approved);
+
+    game.emit(GameEvent.TeamVoteResolved, {
+      questIndex,
+      teamVotingRoundIndex: resolvedRoundIndex,
+      approved,
+      votes: votes.map(v => v.serialize()),
+    });
+
+    if (!approved) {
+      game.emit(GameEvent.VoteTrackerAdvanced, {questIndex, teamVotingRoundIndex});
+    }
+  }
+
   // TODO: dry up
   private vote(game: Game, id: string, voteValue: boolean) {
     const vote = game.getPlayersManager().generateVote(id, voteValue);
@@ -1,15 +1,25 @@
 import EventEmitter from 'events';
+import * as fromErrors from './errors';
 import { PlayersManager } from './players-manager';
 import { QuestsManager } from './quests-manager';
 import { PreparationState } from './game-states/preparation-state';
 import { BaseState } from './game-states/base-state';
 import { GameMetaData } from './game-meta-data';
 import { GameSerialized } from './types/game-serialized';
-import { RoleId } from './enums/role-id';
 import { GameEvent } from './enums/game-event';
 import { IGameClientApi } from './interfaces/game-client-api';
 import { GameStateMachine } from './game-states/game-state-machine';
 import { IEventEmitter } from './interfaces/event-emitter';
+import { GameState } from './enums/game-state';
+import { GameSnapshot } from './types/game-snapshot';
+import { GameSnapshotMigrator } from './game-snapshot-migrator';
+import { GameRules } from './types/game-rules';
+import { GameEventListener, GameEventPayloads } from './types/game-event-payloads';
+import { ViewHistory } from './view-history';
+import { GameSync } from './types/game-sync';
+import { JsonPatch } from './json-patch';
+import { GameHistory } from './game-history';
+import { GameReport } from './types/game-report';
 
 export class Game implements IGameClientApi, IEventEmitter {
   constructor(
@@ -19,23 +29,33 @@ export class Game implements IGameClientApi, IEventEmitter {
     private fsm: GameStateMachine      = new GameStateMachine(),
     private state: BaseState           = new PreparationState(),
     private eventEmitter: EventEmitter = new EventEmitter(),
+    startingState: GameState           = GameState.Preparation,
+    private stateVersion: number       = 0,
+    private viewHistory: ViewHistory   = new ViewHistory(),
+    private history: GameHistory       = new GameHistory(),
   ) {
-    this.fsm.init(this);
+    this.fsm.init(this, startingState);
 
     this.fsm.on(GameEvent.StateChange, () => {
-      this.eventEmitter.emit(GameEvent.StateChange);
+      this.emit(GameEvent.StateChange);
     });
   }
 
-  emit(event: GameEvent) {
-    this.eventEmitter.emit(event);
+  emit<E extends GameEvent>(event: E, payload?: GameEventPayloads[E]) {
+    if (event === GameEvent.StateChange) {
+      this.stateVersion++;
+    }
+
+    payload === undefined
+      ? this.eventEmitter.emit(event)
+      : this.eventEmitter.emit(event, payload);
   }
 
-  on(event: GameEvent, cb: () => void) {
+  on<E extends GameEvent>(event: E, cb: GameEventListener<E>) {
     this.eventEmitter.addListener(event, cb);
   }
 
-  off(event: GameEvent, cb: () => void) {
+  off<E extends GameEvent>(event: E, cb: GameEventListener<E>) {
     this.eventEmitter.removeListener(event, cb);
   }
 
@@ -60,47 +80,175 @@ export class Game implements IGameClientApi, IEventEmitter {
     return this.fsm;
   }
 
+  getHistory(): GameHistory {
+    return this.history;
+  }
+
+  // increases upon every state change
+  getStateVersion(): number {
+    return this.stateVersion;
+  }
+
+  pause() {
+    this.fsm.pause();
+  }
+
+  resume() {
+    this.fsm.resume();
+  }
+
+  dispose() {
+    this.fsm.dispose();
+
+    this.eventEmitter.removeAllListeners();
+  }
+
+  private getLiveState(): BaseState {
+    if (this.fsm.getIsDisposed()) {
+      throw new fromErrors.DisposedGameError();
+    }
+
+    return this.state;
+  }
+
+  private getActiveState(): BaseState {
+    this.getLiveState();
+
+    if (this.fsm.getIsPaused()) {
+      throw new fromErrors.PausedGameError();
+    }
+
+    return this.state;
+  }
+
   addPlayer(id: string) {
-    this.state.addPlayer(this, id);
+    this.getActiveState().addPlayer(this, id);
   }
 
   removePlayer(id: string) {
-    this.state.removePlayer(this, id);
+    this.getActiveState().removePlayer(this, id);
   }
 
-  start(roleIds: RoleId[] = []) {
-    this.state.start(this, roleIds);
+  start(roleIds: string[] = [], rules: GameRules = {}) {
+    this.getActiveState().start(this, roleIds, rules);
   }
 
   submitTeam(leaderId: string) {
-    this.state.submitTeam(this, leaderId);
+    this.getActiveState().submitTeam(this, leaderId);
   }
 
   voteForQuest(id: string, voteValue: boolean) {
-    this.state.voteForQuest(this, id, voteValue);
+    this.getActiveState().voteForQuest(this, id, voteValue);
   }
 
   voteForTeam(id: string, voteValue: boolean) {
-    this.state.voteForTeam(this, id, voteValue);
+    this.getActiveState().voteForTeam(this, id, voteValue);
   }
 
   toggleTeammateProposition(leaderId: string, id: string) {
-    this.state.toggleTeammateProposition(this, leaderId, id);
+    this.getActiveState().toggleTeammateProposition(this, leaderId, id);
   }
 
   resetProposedTeammates(leaderId: string) {
-    this.state.resetProposedTeammates(this, leaderId);
+    this.getActiveState().resetProposedTeammates(this, leaderId);
   }
 
   toggleVictimProposition(assassinsId: string, victimsId: string) {
-    this.state.toggleVictimProposition(this, assassinsId, victimsId);
+    this.getActiveState().toggleVictimProposition(this, assassinsId, victimsId);
   }
 
   assassinate(assassinsId: string) {
-    this.state.assassinate(this, assassinsId);
+    this.getActiveState().assassinate(this, assassinsId);
+  }
+
+  inspectLoyalty(holderId: string, targetId: string) {
+    this.getActiveState().inspectLoyalty(this, holderId, targetId);
+  }
+
+  // a player can be replaced while the game is paused, e.g. the game
+  // is paused until a substitute for a disconnected player is found
+  replacePlayer(id: string, newId: string) {
+    this.getLiveState().replacePlayer(this, id, newId);
+  }
+
+  /**
+   * Called by the state machine, once the deadline
+   * of the current state expires.
+   */
+  expireDeadline() {
+    const state = this.getActiveState();
+
+    this.emit(GameEvent.DeadlineExpired, {state: this.fsm.getState()});
+
+    state.expireDeadline(this);
+  }
+
+  snapshot(): GameSnapshot {
+    return {
+      version: GameSnapshotMigrator.currentVersion,
+      stateVersion: this.stateVersion,
+      meta: this.metaData.snapshot(),
+      players: this.playersManager.snapshot(),
+      quests: this.questsManager.snapshot(),
+      fsm: this.fsm.snapshot(),
+      history: this.history.snapshot(),
+    };
   }
 
   serialize(forId: string): GameSerialized {
     return this.state.serialize(this, forId);
   }
+
+  getReport(): GameReport {
+    return this.state.getReport(this);
+  }
+
+  /**
+   * Serializes the game state, as a patch to the view, that has
+   * been handed out to the player at the given version, if it is
+   * still kept. Otherwise, the view is serialized in full.
+   *
+   * The view leaves out the time left until the pending transition
+   * and the deadline, unless paused, so that a version identifies
+   * exactly one view. The `firesAt` and `expiresAt` are kept instead.
+   */
+  sync(forId: string, sinceVersion: number = null): GameSync {
+    const view     = Game.omitRemainingTimes(this.serialize(forId));
+    const baseView = sinceVersion === null
+      ? null
+      : this.viewHistory.find(forId, sinceVersion);
+
+    this.viewHistory.record(forId, this.stateVersion, view);
+
+    if (!baseView) {
+      return {
+        version: this.stateVersion,
+        baseVersion: null,
+        patch: null,
+        state: view,
+      };
+    }
+
+    return {
+      version: this.stateVersion,
+      baseVersion: sinceVersion,
+      patch: JsonPatch.diff(baseView, view),
+      state: null,
+    };
+  }
+
+  // the remaining times only change, while the timers are running
+  private static omitRemainingTimes(view: GameSerialized): GameSerialized {
+    const {pendingTransition, deadline} = view;
+
+    return {
+      ...view,
+      pendingTransition: pendingTransition && pendingTransition.firesAt !== null
+        ? {...pendingTransition, remainingMs: null}
+        : pendingTransition,
+      deadline: deadline && deadline.expiresAt !== null
+        ? {...deadline, remainingMs: null}
+        : deadline,
+    };
+  }
 }
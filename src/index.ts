@@ -1,3 +1,31 @@
 export * from './game-client';
 export * from './enums/game-event';
 export * from './enums/role-id';
+export * from './types/game-snapshot';
+export * from './game-replayer';
+export * from './enums/game-action';
+export * from './types/action-log-serialized';
+export * from './interfaces/scheduler';
+export * from './schedulers/timeout-scheduler';
+export * from './schedulers/fake-scheduler';
+export * from './types/game-rules';
+export * from './role-registry';
+export * from './types/role-config';
+export * from './enums/loyalty';
+export * from './types/game-event-payloads';
+export * from './types/game-sync';
+export * from './types/patch-operation';
+export * from './json-patch';
+export * from './interfaces/agent';
+export * from './bots/base-agent';
+export * from './bots/random-agent';
+export * from './bots/heuristic-agent';
+export * from './bots/bot-controller';
+export * from './bots/simulation';
+export * from './types/simulation-config';
+export * from './types/simulation-report';
+export * from './random-generator';
+export * from './types/phase-deadlines';
+export * from './enums/missing-team-vote-policy';
+export * from './types/game-report';
+export * from './types/game-history-serialized';
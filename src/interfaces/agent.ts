@@ -0,0 +1,14 @@
+import { GameSerialized } from '../types/game-serialized';
+
+// Decides on behalf of a player, based on the player's view only
+export interface IAgent {
+  proposeTeam(view: GameSerialized, playerId: string): string[];
+
+  voteForTeam(view: GameSerialized, playerId: string): boolean;
+
+  voteForQuest(view: GameSerialized, playerId: string): boolean;
+
+  chooseVictim(view: GameSerialized, playerId: string): string;
+
+  chooseInspectionTarget(view: GameSerialized, playerId: string): string;
+}
@@ -1,5 +1,6 @@
 import { GameEvent } from '../enums/game-event';
+import { GameEventPayloads } from '../types/game-event-payloads';
 
 export interface IEventEmitter {
-  emit(event: GameEvent, cb: () => void): void;
+  emit<E extends GameEvent>(event: E, payload?: GameEventPayloads[E]): void;
 }
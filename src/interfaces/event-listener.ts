@@ -1,7 +1,8 @@
 import { GameEvent } from '../enums/game-event';
+import { GameEventListener } from '../types/game-event-payloads';
 
 export interface IEventListener {
-  on(event: GameEvent, cb: () => void): void;
+  on<E extends GameEvent>(event: E, cb: GameEventListener<E>): void;
 
-  off(event: GameEvent, cb: () => void): void;
+  off<E extends GameEvent>(event: E, cb: GameEventListener<E>): void;
 }
@@ -1,6 +1,7 @@
 import { GameSerialized } from '../types/game-serialized';
 import { IEventListener } from './event-listener';
-import { RoleId } from '../enums/role-id';
+import { GameRules } from '../types/game-rules';
+import { GameSync } from '../types/game-sync';
 
 // TODO: split into state-specific interfaces
 export interface IGameClientApi extends IEventListener {
@@ -8,7 +9,7 @@ export interface IGameClientApi extends IEventListener {
 
   removePlayer(id: string): void;
 
-  start(roleIds: RoleId[]): void;
+  start(roleIds: string[], rules: GameRules): void;
 
   submitTeam(leaderId: string): void;
 
@@ -24,5 +25,11 @@ export interface IGameClientApi extends IEventListener {
 
   assassinate(assassinsId: string): void;
 
+  inspectLoyalty(holderId: string, targetId: string): void;
+
+  replacePlayer(id: string, newId: string): void;
+
   serialize(forId: string): GameSerialized;
+
+  sync(forId: string, sinceVersion: number): GameSync;
 }
@@ -0,0 +1,12 @@
+export interface IScheduler {
+  /**
+   * Gets the current time in milliseconds.
+   */
+  now(): number;
+
+  /**
+   * Calls back after the delay. Returns a function, that
+   * cancels the call.
+   */
+  schedule(cb: () => void, delayMs: number): () => void;
+}
@@ -0,0 +1,81 @@
+import * as _ from 'lodash';
+import { PatchOperation } from './types/patch-operation';
+
+export class JsonPatch {
+  /**
+   * Computes the operations, that turn one JSON document into
+   * another. Objects are compared key by key, and so are arrays
+   * of the same length. Arrays of different lengths are replaced
+   * in full.
+   */
+  static diff(from: any, to: any, path: string = ''): PatchOperation[] {
+    if (_.isEqual(from, to)) return [];
+
+    if (_.isPlainObject(from) && _.isPlainObject(to)) {
+      return JsonPatch.diffObjects(from, to, path);
+    }
+
+    if (Array.isArray(from) && Array.isArray(to) && from.length === to.length) {
+      return _.flatMap(from, (item, i) => JsonPatch.diff(item, to[i], `${path}/${i}`));
+    }
+
+    return [{op: 'replace', path, value: _.cloneDeep(to)}];
+  }
+
+  private static diffObjects(from: any, to: any, path: string): PatchOperation[] {
+    const operations: PatchOperation[] = [];
+
+    Object.keys(from)
+      .filter(key => !to.hasOwnProperty(key))
+      .forEach(key => operations.push({
+        op: 'remove',
+        path: `${path}/${JsonPatch.escape(key)}`,
+      }));
+
+    Object.keys(to).forEach((key) => {
+      const keyPath = `${path}/${JsonPatch.escape(key)}`;
+
+      from.hasOwnProperty(key)
+        ? operations.push(...JsonPatch.diff(from[key], to[key], keyPath))
+        : operations.push({op: 'add', path: keyPath, value: _.cloneDeep(to[key])});
+    });
+
+    return operations;
+  }
+
+  /**
+   * Applies the operations, computed by `diff`, to a copy
+   * of the document.
+   */
+  static apply<T>(document: T, patch: PatchOperation[]): T {
+    let result: any = _.cloneDeep(document);
+
+    patch.forEach((operation) => {
+      if (operation.path === '') {
+        result = _.cloneDeep(operation.value);
+
+        return;
+      }
+
+      const keys   = operation.path.split('/').slice(1).map(JsonPatch.unescape);
+      const key    = keys.pop();
+      const parent = keys.reduce((acc, k) => acc[k], result);
+
+      if (operation.op === 'remove') {
+        delete parent[key];
+      } else {
+        parent[key] = _.cloneDeep(operation.value);
+      }
+    });
+
+    return result;
+  }
+
+  private static escape(key: string) {
+    return key.replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  private static unescape(key: string) {
+    return key.replace(/~1/g, '/').replace(/~0/g, '~');
+  }
+}
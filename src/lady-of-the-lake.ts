@@ -0,0 +1,96 @@
+import * as fromErrors from './errors';
+import { Player } from './player';
+import { Loyalty } from './enums/loyalty';
+import { LadyOfTheLakeSerialized } from './types/lady-of-the-lake-serialized';
+import { LadyOfTheLakeSnapshot } from './types/lady-of-the-lake-snapshot';
+
+type Inspection = {
+  inspector: Player;
+  target: Player;
+};
+
+export class LadyOfTheLake {
+  private holder: Player;
+  // every player, that has held the token, including the holder
+  private formerHolders: Player[]   = [];
+  private inspections: Inspection[] = [];
+
+  constructor(holder: Player) {
+    this.holder = holder;
+
+    this.formerHolders.push(holder);
+  }
+
+  getHolder() {
+    return this.holder;
+  }
+
+  /**
+   * Reveals the target's loyalty to the holder and passes
+   * the token to the target.
+   */
+  inspect(inspector: Player, target: Player): Loyalty {
+    if (inspector !== this.holder) {
+      throw new fromErrors.DeniedInspectionError();
+    }
+
+    if (!target) {
+      throw new fromErrors.PlayerMissingError();
+    }
+
+    if (target === inspector) {
+      throw new fromErrors.DeniedSelfInspectionError();
+    }
+
+    if (this.formerHolders.includes(target)) {
+      throw new fromErrors.DeniedFormerHolderInspectionError();
+    }
+
+    this.inspections.push({inspector, target});
+
+    this.holder = target;
+    this.formerHolders.push(target);
+
+    return target.getRole().getLoyalty();
+  }
+
+  snapshot(): LadyOfTheLakeSnapshot {
+    return {
+      holderId: this.holder.getId(),
+      formerHolderIds: this.formerHolders.map(p => p.getId()),
+      inspections: this.inspections.map(({inspector, target}) => ({
+        inspectorId: inspector.getId(),
+        targetId: target.getId(),
+      })),
+    };
+  }
+
+  static restore(snapshot: LadyOfTheLakeSnapshot, players: Player[]): LadyOfTheLake {
+    const findPlayer = (id: string) => players.find(p => p.getId() === id);
+
+    const ladyOfTheLake = new LadyOfTheLake(findPlayer(snapshot.holderId));
+
+    ladyOfTheLake.formerHolders = snapshot.formerHolderIds.map(findPlayer);
+    ladyOfTheLake.inspections   = snapshot.inspections.map(i => ({
+      inspector: findPlayer(i.inspectorId),
+      target: findPlayer(i.targetId),
+    }));
+
+    return ladyOfTheLake;
+  }
+
+  // the results are only revealed to the inspectors themselves
+  serialize(forPlayer: Player, rolesConcealed: boolean): LadyOfTheLakeSerialized {
+    return {
+      holderId: this.holder.getId(),
+      formerHolderIds: this.formerHolders.map(p => p.getId()),
+      inspections: this.inspections.map(({inspector, target}) => ({
+        inspectorId: inspector.getId(),
+        targetId: target.getId(),
+        loyalty: !rolesConcealed || inspector === forPlayer
+          ? target.getRole().getLoyalty()
+          : Loyalty.Unknown,
+      })),
+    };
+  }
+}
@@ -5,6 +5,7 @@ import { LevelPresetSerialized } from './types/level-preset-serialized';
 import { LevelPresetId } from './types/level-preset-id';
 
 export class LevelPreset {
+  private id: LevelPresetId;
   private goodCount: number;
   private evilCount: number;
   private quests: QuestConfig[];
@@ -15,6 +16,7 @@ export class LevelPreset {
       throw new fromErrors.PlayersAmountIncorrectError();
     }
 
+    this.id        = playerCount;
     this.goodCount = levelPresets[playerCount].goodCount;
     this.evilCount = levelPresets[playerCount].evilCount;
     this.quests    = levelPresets[playerCount].quests;
@@ -25,6 +27,10 @@ export class LevelPreset {
     return new LevelPreset(-1);
   }
 
+  getId() {
+    return this.id;
+  }
+
   getGoodCount() {
     return this.goodCount;
   }
@@ -1,6 +1,8 @@
 import { Role } from './role';
+import { RoleRegistry, roleRegistry } from './role-registry';
 import { Vote } from './vote';
 import { PlayerSerialized } from './types/player-serialized';
+import { PlayerSnapshot } from './types/player-snapshot';
 import { RoleId } from './enums/role-id';
 
 export class Player {
@@ -18,6 +20,18 @@ export class Player {
     return this.id;
   }
 
+  /**
+   * Hands the player's seat over to another id,
+   * along with the current vote.
+   */
+  changeId(id: string) {
+    this.id = id;
+
+    if (this.vote) {
+      this.vote = new Vote(id, this.vote.getValue());
+    }
+  }
+
   setRole(role: Role) {
     this.role = role;
   }
@@ -53,6 +67,27 @@ export class Player {
     return this.role.canSee(anotherPlayer.getRole());
   }
 
+  snapshot(): PlayerSnapshot {
+    return {
+      id: this.id,
+      roleId: this.role.getId(),
+      vote: this.vote ? this.vote.serialize() : null,
+    };
+  }
+
+  /**
+   * @throws UnknownRoleError
+   */
+  static restore(snapshot: PlayerSnapshot, registry: RoleRegistry = roleRegistry): Player {
+    const player = new Player(snapshot.id, new Role(snapshot.roleId, registry));
+
+    if (snapshot.vote) {
+      player.generateVote(snapshot.vote.value);
+    }
+
+    return player;
+  }
+
   // TODO: cache
   serialize(roleRevealed: boolean): PlayerSerialized {
     const serializedRole = !roleRevealed
@@ -1,10 +1,14 @@
-import * as _ from 'lodash';
 import * as fromErrors from './errors';
 import { Player } from './player';
 import { LevelPreset } from './level-preset';
 import { RolesAssigner } from './roles-assigner';
 import { PlayersManagerSerialized } from './types/players-manager-serialized';
-import { RoleId } from './enums/role-id';
+import { PlayersManagerSnapshot } from './types/players-manager-snapshot';
+import { RandomGenerator } from './random-generator';
+import { LadyOfTheLake } from './lady-of-the-lake';
+import { ReplacementSerialized } from './types/replacement-serialized';
+import { PlayerSerialized } from './types/player-serialized';
+import { RoleRegistry, roleRegistry as defaultRoleRegistry } from './role-registry';
 
 export class PlayersManager {
   private players: Player[]         = [];
@@ -13,8 +17,13 @@ export class PlayersManager {
   private leaderIndex: number       = -1;
   private victim: Player;
   private assassin: Player;
+  private ladyOfTheLake: LadyOfTheLake = null;
+  private replacements: ReplacementSerialized[] = [];
 
-  constructor() {
+  constructor(
+    private random: RandomGenerator = new RandomGenerator(),
+    private roleRegistry: RoleRegistry = defaultRoleRegistry,
+  ) {
   }
 
   assassinate(assassinsId: string) {
@@ -43,6 +52,22 @@ export class PlayersManager {
     return this.proposedPlayers.length;
   }
 
+  getProposedPlayerIds(): string[] {
+    return this.proposedPlayers.map(p => p.getId());
+  }
+
+  getVictim(): Player {
+    return this.victim;
+  }
+
+  getAssassin(): Player {
+    return this.assassin;
+  }
+
+  getRoleRegistry(): RoleRegistry {
+    return this.roleRegistry;
+  }
+
   add(player: Player) {
     if (!player) return;
 
@@ -58,12 +83,36 @@ export class PlayersManager {
     this.players.push(player);
   }
 
-  remove(id: string) {
+  /**
+   * Returns whether the player has been removed.
+   */
+  remove(id: string): boolean {
     const index = this.players.findIndex(p => p.getId() === id);
 
-    if (index === -1) return;
+    if (index === -1) return false;
 
     this.players.splice(index, 1);
+
+    return true;
+  }
+
+  /**
+   * Hands the player's seat, role, votes and propositions
+   * over to a new player id.
+   */
+  replace(id: string, newId: string) {
+    const player = this.findPlayer(id);
+    if (!player) {
+      throw new fromErrors.PlayerMissingError();
+    }
+
+    if (this.findPlayer(newId)) {
+      throw new fromErrors.AlreadyExistsPlayerError();
+    }
+
+    player.changeId(newId);
+
+    this.replacements.push({formerPlayerId: id, playerId: newId});
   }
 
   private findPlayer(id: string): Player {
@@ -113,10 +162,12 @@ export class PlayersManager {
     return this.isSubmitted;
   }
 
-  assignRoles(levelPreset: LevelPreset, roleIds: RoleId[] = []) {
+  assignRoles(levelPreset: LevelPreset, roleIds: string[] = []) {
     this.players = new RolesAssigner(
       this.players,
       levelPreset,
+      this.random,
+      this.roleRegistry,
     ).assignRoles(roleIds);
 
     this.assassin = this.players.find(p => p.isAssassin());
@@ -124,6 +175,27 @@ export class PlayersManager {
     this.nextLeader();
   }
 
+  /**
+   * Hands the Lady of the Lake to the player
+   * to the right of the leader.
+   */
+  assignLadyOfTheLake() {
+    const index = (this.leaderIndex - 1 + this.players.length) % this.players.length;
+
+    this.ladyOfTheLake = new LadyOfTheLake(this.players[index]);
+  }
+
+  inspectLoyalty(holderId: string, targetId: string) {
+    if (!this.ladyOfTheLake) {
+      throw new fromErrors.DeniedInspectionError();
+    }
+
+    return this.ladyOfTheLake.inspect(
+      this.findPlayer(holderId),
+      this.findPlayer(targetId),
+    );
+  }
+
   nextLeader() {
     this.getLeader()
       ? this.chooseNextPlayerAsLeader()
@@ -135,7 +207,7 @@ export class PlayersManager {
   }
 
   private chooseLeaderRandomly() {
-    this.leaderIndex = _.random(0, this.players.length - 1);
+    this.leaderIndex = this.random.integer(0, this.players.length - 1);
   }
 
   private chooseNextPlayerAsLeader() {
@@ -192,6 +264,45 @@ export class PlayersManager {
     this.proposedPlayers = [];
   }
 
+  snapshot(): PlayersManagerSnapshot {
+    return {
+      collection: this.players.map(p => p.snapshot()),
+      proposedPlayerIds: this.proposedPlayers.map(p => p.getId()),
+      leaderIndex: this.leaderIndex,
+      isSubmitted: this.isSubmitted,
+      victimId: PlayersManager.getIdOrNull(this.victim),
+      ladyOfTheLake: this.ladyOfTheLake ? this.ladyOfTheLake.snapshot() : null,
+      replacements: this.replacements.map(r => ({...r})),
+    };
+  }
+
+  /**
+   * The house roles of the snapshot are expected to be
+   * registered in the given registry.
+   *
+   * @throws UnknownRoleError
+   */
+  static restore(
+    snapshot: PlayersManagerSnapshot,
+    random: RandomGenerator = new RandomGenerator(),
+    registry: RoleRegistry = defaultRoleRegistry,
+  ): PlayersManager {
+    const manager = new PlayersManager(random, registry);
+
+    manager.players         = snapshot.collection.map(p => Player.restore(p, registry));
+    manager.proposedPlayers = snapshot.proposedPlayerIds.map(id => manager.findPlayer(id));
+    manager.leaderIndex     = snapshot.leaderIndex;
+    manager.isSubmitted     = snapshot.isSubmitted;
+    manager.victim          = manager.findPlayer(snapshot.victimId);
+    manager.assassin        = manager.players.find(p => p.isAssassin());
+    manager.ladyOfTheLake   = snapshot.ladyOfTheLake
+      ? LadyOfTheLake.restore(snapshot.ladyOfTheLake, manager.players)
+      : null;
+    manager.replacements    = snapshot.replacements.map(r => ({...r}));
+
+    return manager;
+  }
+
   serialize(forPlayerId: string, rolesConcealed: boolean): PlayersManagerSerialized {
     const forPlayer = this.findPlayer(forPlayerId);
     if (!forPlayer) {
@@ -204,9 +315,17 @@ export class PlayersManager {
       leaderId: PlayersManager.getIdOrNull(this.getLeader()),
       isSubmitted: this.isSubmitted,
       victimId: PlayersManager.getIdOrNull(this.victim),
+      ladyOfTheLake: this.ladyOfTheLake
+        ? this.ladyOfTheLake.serialize(forPlayer, rolesConcealed)
+        : null,
+      replacements: this.replacements.map(r => ({...r})),
     };
   }
 
+  revealRoles(): PlayerSerialized[] {
+    return this.players.map(p => p.serialize(true));
+  }
+
   private serializePlayers(forPlayer: Player, rolesConcealed: boolean) {
     return this.players.map((p) => {
       const roleRevealed = !rolesConcealed || forPlayer.canSee(p);
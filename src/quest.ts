@@ -2,6 +2,7 @@ import { Vote } from './vote';
 import { QuestSerialized } from './types/quest-serialized';
 import { QuestStatus } from './enums/quest-status';
 import { VoteSerialized } from './types/vote-serialized';
+import { QuestSnapshot } from './types/quest-snapshot';
 
 // TODO: convert to using states
 export class Quest {
@@ -35,6 +36,14 @@ export class Quest {
     return this.teamVotingRoundIndex;
   }
 
+  getQuestVotes(): Vote[] {
+    return [...this.questVotes];
+  }
+
+  getTeamVotes(roundIndex: number): Vote[] {
+    return [...this.teamVoteRounds[roundIndex]];
+  }
+
   questVotingFinished() {
     return this.questVotes.length === this.votesNeededCount;
   }
@@ -52,10 +61,10 @@ export class Quest {
   }
 
   private questVotingFailed() {
-    return this.failsCount() < this.failsNeededCount;
+    return this.getFailsCount() < this.failsNeededCount;
   }
 
-  private failsCount() {
+  getFailsCount() {
     return this.questVotes.reduce(
       (acc, vote) => vote.getValue() ? acc : acc + 1, 0,
     );
@@ -132,6 +141,40 @@ export class Quest {
     return this.teamVotingRoundIndex === this.teamVoteRounds.length - 1;
   }
 
+  replacePlayerId(id: string, newId: string) {
+    const replace = (vote: Vote) => vote.getId() === id
+      ? new Vote(newId, vote.getValue())
+      : vote;
+
+    this.teamVoteRounds = this.teamVoteRounds.map(round => round.map(replace));
+    this.questVotes     = this.questVotes.map(replace);
+  }
+
+  snapshot(): QuestSnapshot {
+    return {
+      votesNeededCount: this.votesNeededCount,
+      failsNeededCount: this.failsNeededCount,
+      totalPlayers: this.totalPlayers,
+      teamVoteRounds: this.teamVoteRounds.map(round => round.map(v => v.serialize())),
+      teamVotingRoundIndex: this.teamVotingRoundIndex,
+      questVotes: this.questVotes.map(v => v.serialize()),
+    };
+  }
+
+  static restore(snapshot: QuestSnapshot): Quest {
+    const quest = new Quest({
+      votesNeededCount: snapshot.votesNeededCount,
+      failsNeededCount: snapshot.failsNeededCount,
+      totalPlayers: snapshot.totalPlayers,
+    });
+
+    quest.teamVoteRounds       = snapshot.teamVoteRounds.map(round => round.map(Vote.restore));
+    quest.teamVotingRoundIndex = snapshot.teamVotingRoundIndex;
+    quest.questVotes           = snapshot.questVotes.map(Vote.restore);
+
+    return quest;
+  }
+
   serialize(votesOmitted: boolean, resultsConcealed: boolean): QuestSerialized {
     return {
       status: this.getStatus(),
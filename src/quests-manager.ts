@@ -3,6 +3,7 @@ import { Quest } from './quest';
 import { Vote } from './vote';
 import { QuestsManagerSerialized } from './types/quests-manager-serialized';
 import { QuestStatus } from './enums/quest-status';
+import { QuestsManagerSnapshot } from './types/quests-manager-snapshot';
 
 export class QuestsManager {
   private levelPreset: LevelPreset  = null;
@@ -70,6 +71,10 @@ export class QuestsManager {
     return this.quests[this.currentQuestIndex];
   };
 
+  getCurrentQuestIndex() {
+    return this.currentQuestIndex;
+  }
+
   nextQuest() {
     this.currentQuestIndex++;
   };
@@ -78,6 +83,31 @@ export class QuestsManager {
     return this.getCurrentQuest().isLastRoundOfTeamVoting();
   };
 
+  replacePlayerId(id: string, newId: string) {
+    this.quests.forEach(q => q.replacePlayerId(id, newId));
+  }
+
+  snapshot(): QuestsManagerSnapshot {
+    return {
+      levelPresetId: this.levelPreset ? this.levelPreset.getId() : null,
+      collection: this.quests.map(q => q.snapshot()),
+      currentQuestIndex: this.currentQuestIndex,
+    };
+  }
+
+  static restore(snapshot: QuestsManagerSnapshot): QuestsManager {
+    const manager = new QuestsManager();
+
+    manager.levelPreset = snapshot.levelPresetId
+      ? new LevelPreset(snapshot.levelPresetId)
+      : null;
+
+    manager.quests            = snapshot.collection.map(Quest.restore);
+    manager.currentQuestIndex = snapshot.currentQuestIndex;
+
+    return manager;
+  }
+
   serialize(resultsConcealed: boolean): QuestsManagerSerialized {
     return {
       collection: this.getSerializedQuests(resultsConcealed),
@@ -0,0 +1,51 @@
+import * as crypto from 'crypto';
+
+export type RandomSource = () => number;
+
+export class RandomGenerator {
+  constructor(private source: RandomSource = Math.random) {
+  }
+
+  /**
+   * Creates a generator, that always produces the same
+   * sequence of numbers for the same seed (mulberry32).
+   */
+  static fromSeed(seed: number): RandomGenerator {
+    let state = seed >>> 0;
+
+    return new RandomGenerator(() => {
+      state = (state + 0x6D2B79F5) >>> 0;
+
+      let t = state;
+      t     = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    });
+  }
+
+  static generateSeed(): number {
+    return crypto.randomBytes(4).readUInt32LE(0);
+  }
+
+  next(): number {
+    return this.source();
+  }
+
+  // both bounds are inclusive
+  integer(min: number, max: number): number {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  shuffle<T>(items: T[]): T[] {
+    const shuffled = items.slice();
+
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = this.integer(0, i);
+
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    return shuffled;
+  }
+}
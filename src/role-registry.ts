@@ -0,0 +1,128 @@
+import * as _ from 'lodash';
+import * as fromErrors from './errors';
+import { RoleConfig } from './types/role-config';
+import { RoleId } from './enums/role-id';
+import { rolesConfig } from './configs/roles.config';
+import { levelPresets } from './configs/level-presets.config';
+
+// the maximum number of servants or minions a game can take
+const numberedRolesCount = _.max(Object.keys(levelPresets).map(Number));
+
+export class RoleRegistry {
+  private configs: { [id: string]: RoleConfig };
+  private customIds: string[] = [];
+
+  constructor(configs: RoleConfig[] = _.values(rolesConfig)) {
+    this.configs = _.keyBy(_.cloneDeep(configs), (config) => config.id);
+
+    this.generateNumbered('Servant', RoleId.Servant_1);
+    this.generateNumbered('Minion', RoleId.Minion_1);
+  }
+
+  /**
+   * Registers a custom role. The roles under `seenByRoleIds`
+   * are made able to see the new role.
+   *
+   * @throws AlreadyExistsRoleError
+   */
+  register(config: RoleConfig, seenByRoleIds: string[] = []) {
+    if (this.has(config.id)) {
+      throw new fromErrors.AlreadyExistsRoleError();
+    }
+
+    this.configs[config.id] = _.cloneDeep(config);
+    this.customIds.push(config.id);
+
+    seenByRoleIds
+      .map((id) => this.configs[id])
+      .filter((seer) => !!seer)
+      .forEach((seer) => seer.visibleRoleIds.push(config.id));
+  }
+
+  /**
+   * Removes a custom role, along with its visibility to the other
+   * roles. The built-in roles can not be unregistered.
+   *
+   * @throws UnknownRoleError
+   */
+  unregister(id: string) {
+    if (!this.customIds.includes(id)) {
+      throw new fromErrors.UnknownRoleError();
+    }
+
+    delete this.configs[id];
+    this.customIds = _.without(this.customIds, id);
+
+    _.values(this.configs).forEach((config) => {
+      config.visibleRoleIds = _.without(config.visibleRoleIds, id);
+    });
+  }
+
+  has(id: string): boolean {
+    return !!this.configs[id];
+  }
+
+  /**
+   * Gets a copy of a role config, so that changing it does not
+   * affect the registry.
+   */
+  get(id: string): RoleConfig {
+    return _.cloneDeep(this.configs[id]);
+  }
+
+  getServantIds(count: number, excludedIds: string[] = []): string[] {
+    return RoleRegistry.generateNumberedIds('Servant', count, excludedIds);
+  }
+
+  getMinionIds(count: number, excludedIds: string[] = []): string[] {
+    return RoleRegistry.generateNumberedIds('Minion', count, excludedIds);
+  }
+
+  private static generateNumberedIds(kind: string, count: number, excludedIds: string[]) {
+    const ids: string[] = [];
+
+    for (let i = 1; ids.length < count; i++) {
+      const id = `${kind}_${i}`;
+
+      if (!excludedIds.includes(id)) {
+        ids.push(id);
+      }
+    }
+
+    return ids;
+  }
+
+  // Generates the `Servant_N` and `Minion_N` configs up front, as many
+  // as a game can take. A generated role behaves the same as the first
+  // one of its kind: it sees, and is seen by, the same roles.
+  private generateNumbered(kind: string, templateId: string) {
+    const template = this.configs[templateId];
+    const ids      = _.range(1, numberedRolesCount + 1)
+      .map((i) => `${kind}_${i}`)
+      .filter((id) => !this.configs[id]);
+
+    const seers = _.values(this.configs)
+      .filter((config) => config.visibleRoleIds.includes(template.id));
+
+    // e.g. the minions see each other, but the servants do not
+    const seesOwnKind = seers.some((config) => config.id.startsWith(`${kind}_`));
+
+    seers.forEach((config) => config.visibleRoleIds.push(...ids));
+
+    if (seesOwnKind) {
+      template.visibleRoleIds.push(...ids);
+    }
+
+    ids.forEach((id) => {
+      this.configs[id] = {
+        ..._.cloneDeep(template),
+        id,
+        visibleRoleIds: seesOwnKind
+          ? [...template.visibleRoleIds.filter((roleId) => roleId !== id), template.id]
+          : [...template.visibleRoleIds],
+      };
+    });
+  }
+}
+
+export const roleRegistry = new RoleRegistry();
@@ -1,22 +1,31 @@
+import * as fromErrors from './errors';
 import { RoleSerialized } from './types/role-serialized';
 import { RoleId } from './enums/role-id';
 import { Loyalty } from './enums/loyalty';
-import { rolesConfig } from './configs/roles.config';
+import { RoleRegistry, roleRegistry } from './role-registry';
 
 // TODO: cache roles
 export class Role {
-  id: RoleId;
+  id: string;
   name: string;
   description: string;
   loyalty: Loyalty;
-  visibleRoleIds: RoleId[];
+  visibleRoleIds: string[];
 
-  constructor(id: RoleId) {
-    this.id             = rolesConfig[id].id;
-    this.name           = rolesConfig[id].name;
-    this.description    = rolesConfig[id].description;
-    this.loyalty        = rolesConfig[id].loyalty;
-    this.visibleRoleIds = rolesConfig[id].visibleRoleIds;
+  /**
+   * @throws UnknownRoleError
+   */
+  constructor(id: string, registry: RoleRegistry = roleRegistry) {
+    const config = registry.get(id);
+    if (!config) {
+      throw new fromErrors.UnknownRoleError();
+    }
+
+    this.id             = config.id;
+    this.name           = config.name;
+    this.description    = config.description;
+    this.loyalty        = config.loyalty;
+    this.visibleRoleIds = [...config.visibleRoleIds];
   }
 
   // TODO: cache
@@ -1,26 +1,47 @@
 import * as _ from 'lodash';
+import * as fromErrors from './errors';
 import { Player } from './player';
 import { LevelPreset } from './level-preset';
 import { Role } from './role';
 import { RoleId } from './enums/role-id';
 import { Loyalty } from './enums/loyalty';
+import { RandomGenerator } from './random-generator';
+import { RoleRegistry, roleRegistry } from './role-registry';
+import { RoleSetupWarning } from './types/role-setup-warning';
 
 // TODO: promote to a service
 export class RolesAssigner {
   private players: Player[];
   private levelPreset: LevelPreset;
+  private random: RandomGenerator;
+  private registry: RoleRegistry;
 
-  constructor(players: Player[], levelPreset: LevelPreset) {
+  constructor(
+    players: Player[],
+    levelPreset: LevelPreset,
+    random: RandomGenerator = new RandomGenerator(),
+    registry: RoleRegistry = roleRegistry,
+  ) {
     this.players     = players;
     this.levelPreset = levelPreset;
+    this.random      = random;
+    this.registry    = registry;
   }
 
-  assignRoles(requestedRoleIds: RoleId[] = []): Player[] {
+  /**
+   * The requested roles are expected to be checked with `validate`
+   * beforehand, which is done once the game is started.
+   *
+   * @throws UnknownRoleError
+   */
+  assignRoles(requestedRoleIds: string[] = []): Player[] {
     const roleIds = RolesAssigner.generateRolesConfig(requestedRoleIds);
     const roles   = RolesAssigner.generateRoles(
       roleIds,
       this.levelPreset.getGoodCount(),
       this.levelPreset.getEvilCount(),
+      this.random,
+      this.registry,
     );
 
     this.players.forEach((player) => player.setRole(roles.pop()));
@@ -28,15 +49,60 @@ export class RolesAssigner {
     return this.players;
   }
 
-  static generateRolesConfig(roleIds: RoleId[]): RoleId[] {
-    const defaultRoleIds: RoleId[] = [RoleId.Merlin, RoleId.Assassin];
+  /**
+   * Checks whether the requested roles, along with the default
+   * ones, fit the level preset. The legal, but unbalanced setups,
+   * e.g. Percival without Morgana, are returned as warnings.
+   *
+   * @throws UnknownRoleError
+   * @throws GoodRolesExceededError
+   * @throws EvilRolesExceededError
+   */
+  static validate(
+    requestedRoleIds: string[],
+    levelPreset: LevelPreset,
+    registry: RoleRegistry = roleRegistry,
+  ): RoleSetupWarning[] {
+    const roleIds = RolesAssigner.generateRolesConfig(requestedRoleIds);
+    const configs = roleIds.map((roleId) => registry.get(roleId));
+
+    if (configs.some((config) => !config || config.loyalty === Loyalty.Unknown)) {
+      throw new fromErrors.UnknownRoleError();
+    }
+
+    const goodCount = configs.filter((config) => config.loyalty === Loyalty.Good).length;
+    if (goodCount > levelPreset.getGoodCount()) {
+      throw new fromErrors.GoodRolesExceededError();
+    }
+
+    const evilCount = configs.filter((config) => config.loyalty === Loyalty.Evil).length;
+    if (evilCount > levelPreset.getEvilCount()) {
+      throw new fromErrors.EvilRolesExceededError();
+    }
+
+    return configs
+      .map((config) => ({
+        roleId: config.id,
+        missingRoleIds: _.difference(config.recommendedRoleIds || [], roleIds),
+      }))
+      .filter((warning) => warning.missingRoleIds.length);
+  }
+
+  static generateRolesConfig(roleIds: string[]): string[] {
+    const defaultRoleIds: string[] = [RoleId.Merlin, RoleId.Assassin];
 
     return _.union(roleIds, defaultRoleIds);
   }
 
-  static generateRoles(roleIds: RoleId[], goodCount: number, evilCount: number): Role[] {
-    const roles = roleIds.map((roleId: RoleId) => {
-      const role = new Role(roleId);
+  static generateRoles(
+    roleIds: string[],
+    goodCount: number,
+    evilCount: number,
+    random: RandomGenerator = new RandomGenerator(),
+    registry: RoleRegistry = roleRegistry,
+  ): Role[] {
+    const roles = roleIds.map((roleId: string) => {
+      const role = new Role(roleId, registry);
 
       role.getLoyalty() === Loyalty.Good
         ? goodCount--
@@ -45,28 +111,26 @@ export class RolesAssigner {
       return role;
     });
 
-    return _.shuffle(_.concat(
+    return random.shuffle(_.concat(
       roles,
-      RolesAssigner.generateServants(goodCount),
-      RolesAssigner.generateMinions(evilCount),
+      RolesAssigner.generateServants(goodCount, roleIds, registry),
+      RolesAssigner.generateMinions(evilCount, roleIds, registry),
     ));
   }
 
-  static generateServants(count: number): Role[] {
-    return _.shuffle([
-      new Role(RoleId.Servant_1),
-      new Role(RoleId.Servant_2),
-      new Role(RoleId.Servant_3),
-      new Role(RoleId.Servant_4),
-      new Role(RoleId.Servant_5),
-    ]).slice(0, count);
+  static generateServants(
+    count: number,
+    excludedRoleIds: string[] = [],
+    registry: RoleRegistry = roleRegistry,
+  ): Role[] {
+    return registry.getServantIds(count, excludedRoleIds).map((id) => new Role(id, registry));
   }
 
-  static generateMinions(count: number): Role[] {
-    return _.shuffle([
-      new Role(RoleId.Minion_1),
-      new Role(RoleId.Minion_2),
-      new Role(RoleId.Minion_3),
-    ]).slice(0, count);
+  static generateMinions(
+    count: number,
+    excludedRoleIds: string[] = [],
+    registry: RoleRegistry = roleRegistry,
+  ): Role[] {
+    return registry.getMinionIds(count, excludedRoleIds).map((id) => new Role(id, registry));
   }
 }
@@ -0,0 +1,81 @@
+import { IScheduler } from '../interfaces/scheduler';
+
+type FakeTask = {
+  cb: () => void;
+  firesAt: number;
+};
+
+/**
+ * A scheduler with a manually advanced clock, meant for tests.
+ */
+export class FakeScheduler implements IScheduler {
+  private tasks: FakeTask[] = [];
+
+  constructor(private time: number = 0) {
+  }
+
+  now() {
+    return this.time;
+  }
+
+  schedule(cb: () => void, delayMs: number) {
+    const task = {cb, firesAt: this.time + delayMs};
+
+    this.tasks.push(task);
+
+    return () => this.removeTask(task);
+  }
+
+  getPendingCount() {
+    return this.tasks.length;
+  }
+
+  /**
+   * Moves the clock forward, calling back every task that
+   * comes due, in order, including the ones scheduled by
+   * the other tasks.
+   */
+  advanceBy(ms: number) {
+    const targetTime = this.time + ms;
+
+    let task = this.getNextTask();
+    while (task && task.firesAt <= targetTime) {
+      this.removeTask(task);
+
+      this.time = task.firesAt;
+
+      task.cb();
+
+      task = this.getNextTask();
+    }
+
+    this.time = targetTime;
+  }
+
+  /**
+   * Calls back every task, until none are left.
+   */
+  runAll() {
+    let task = this.getNextTask();
+    while (task) {
+      this.advanceBy(task.firesAt - this.time);
+
+      task = this.getNextTask();
+    }
+  }
+
+  private getNextTask(): FakeTask {
+    return this.tasks.reduce(
+      (next, task) => !next || task.firesAt < next.firesAt ? task : next,
+      null,
+    );
+  }
+
+  private removeTask(task: FakeTask) {
+    const index = this.tasks.indexOf(task);
+
+    if (index === -1) return;
+
+    this.tasks.splice(index, 1);
+  }
+}
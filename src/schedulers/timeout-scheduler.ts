@@ -0,0 +1,13 @@
+import { IScheduler } from '../interfaces/scheduler';
+
+export class TimeoutScheduler implements IScheduler {
+  now() {
+    return Date.now();
+  }
+
+  schedule(cb: () => void, delayMs: number) {
+    const timeout = setTimeout(() => cb(), delayMs);
+
+    return () => clearTimeout(timeout);
+  }
+}
@@ -0,0 +1,11 @@
+import { GameAction } from '../enums/game-action';
+
+export type ActionLogEntry = {
+  action: GameAction;
+  args: any[];
+  // the class name and the code of the error, the call was rejected with
+  error: {
+    name: string;
+    code: string;
+  };
+}
@@ -0,0 +1,6 @@
+import { ActionLogEntry } from './action-log-entry';
+
+export type ActionLogSerialized = {
+  seed: number;
+  entries: ActionLogEntry[];
+}
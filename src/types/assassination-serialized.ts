@@ -0,0 +1,6 @@
+export type AssassinationSerialized = {
+  assassinId: string;
+  // null, if the deadline has expired before a victim was proposed
+  victimId: string;
+  succeeded: boolean;
+}
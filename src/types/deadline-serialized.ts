@@ -0,0 +1,9 @@
+import { GameState } from '../enums/game-state';
+
+export type DeadlineSerialized = {
+  // the state, that the deadline is set for
+  state: GameState;
+  // null, while the game is paused
+  expiresAt: number;
+  remainingMs: number;
+}
@@ -1,5 +1,23 @@
 import { GameStateTransitionWaitTimes } from './game-state-transition-wait-times';
+import { RandomSource } from '../random-generator';
+import { IScheduler } from '../interfaces/scheduler';
+import { PhaseDeadlines } from './phase-deadlines';
+import { RoleRegistry } from '../role-registry';
 
 export type GameConfig = {
-  stateTransitionWaitTimes: GameStateTransitionWaitTimes
+  stateTransitionWaitTimes: GameStateTransitionWaitTimes;
+  // a seed for the roles assignment and the leader choice,
+  // generated randomly if neither it nor `random` is set
+  seed?: number;
+  // a custom source of random numbers in the range [0, 1),
+  // takes precedence over `seed`
+  random?: RandomSource;
+  // schedules the state transitions, `setTimeout` based by default
+  scheduler?: IScheduler;
+  // no deadlines by default
+  deadlines?: PhaseDeadlines;
+  // the roles, that the game can be started with, the shared
+  // `roleRegistry` by default. A restored game has to be given
+  // a registry, that contains the house roles of the snapshot
+  roleRegistry?: RoleRegistry;
 }
@@ -0,0 +1,70 @@
+import { GameEvent } from '../enums/game-event';
+import { GameStatus } from '../enums/game-status';
+import { QuestStatus } from '../enums/quest-status';
+import { VoteSerialized } from './vote-serialized';
+import { GameState } from '../enums/game-state';
+import { RoleSetupWarning } from './role-setup-warning';
+
+export type GameEventPayloads = {
+  [GameEvent.StateChange]: void;
+  [GameEvent.PlayerJoined]: {
+    playerId: string;
+  };
+  [GameEvent.PlayerLeft]: {
+    playerId: string;
+  };
+  [GameEvent.LeaderChanged]: {
+    leaderId: string;
+  };
+  [GameEvent.TeammateProposed]: {
+    leaderId: string;
+    playerId: string;
+  };
+  [GameEvent.TeammateUnproposed]: {
+    leaderId: string;
+    playerId: string;
+  };
+  [GameEvent.TeamSubmitted]: {
+    leaderId: string;
+    teammateIds: string[];
+  };
+  // reveals who has voted, but not how
+  [GameEvent.TeamVoteCast]: {
+    playerId: string;
+  };
+  [GameEvent.TeamVoteResolved]: {
+    questIndex: number;
+    teamVotingRoundIndex: number;
+    approved: boolean;
+    votes: VoteSerialized[];
+  };
+  [GameEvent.QuestResolved]: {
+    questIndex: number;
+    status: QuestStatus;
+    failsCount: number;
+  };
+  [GameEvent.VoteTrackerAdvanced]: {
+    questIndex: number;
+    teamVotingRoundIndex: number;
+  };
+  // the victim id is null, if the victim has been un-proposed
+  [GameEvent.VictimProposed]: {
+    assassinId: string;
+    victimId: string;
+  };
+  [GameEvent.GameFinished]: {
+    status: GameStatus;
+  };
+  [GameEvent.PlayerReplaced]: {
+    formerPlayerId: string;
+    playerId: string;
+  };
+  // emitted before the expiry policy is applied
+  [GameEvent.DeadlineExpired]: {
+    state: GameState;
+  };
+  // emitted on start for each legal, but unbalanced role
+  [GameEvent.RoleSetupWarning]: RoleSetupWarning;
+}
+
+export type GameEventListener<E extends GameEvent> = (payload: GameEventPayloads[E]) => void;
@@ -0,0 +1,9 @@
+import { ProposalSerialized } from './proposal-serialized';
+import { QuestResultSerialized } from './quest-result-serialized';
+import { AssassinationSerialized } from './assassination-serialized';
+
+export type GameHistorySnapshot = {
+  proposals: ProposalSerialized[];
+  questResults: QuestResultSerialized[];
+  assassination: AssassinationSerialized;
+}
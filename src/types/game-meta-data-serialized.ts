@@ -1,4 +1,5 @@
 import { LevelPresetSerialized } from './level-preset-serialized';
+import { GameRules } from './game-rules';
 
 export type GameMetaDataSerialized = {
   id: string;
@@ -8,4 +9,5 @@ export type GameMetaDataSerialized = {
   levelPreset: LevelPresetSerialized;
   status: string;
   creatorId: string;
+  rules: GameRules;
 }
@@ -0,0 +1,14 @@
+import { LevelPresetId } from './level-preset-id';
+import { GameStatus } from '../enums/game-status';
+import { GameRules } from './game-rules';
+
+export type GameMetaDataSnapshot = {
+  id: string;
+  createdAt: string;
+  startedAt: string;
+  finishedAt: string;
+  levelPresetId: LevelPresetId;
+  status: GameStatus;
+  creatorId: string;
+  rules: GameRules;
+}
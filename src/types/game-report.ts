@@ -0,0 +1,12 @@
+import { GameStatus } from '../enums/game-status';
+import { Loyalty } from '../enums/loyalty';
+import { PlayerSerialized } from './player-serialized';
+import { GameHistorySerialized } from './game-history-serialized';
+
+export type GameReport = {
+  status: GameStatus;
+  winningLoyalty: Loyalty;
+  // every player, along with the role and the loyalty
+  players: PlayerSerialized[];
+  history: GameHistorySerialized;
+}
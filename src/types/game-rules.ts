@@ -0,0 +1,4 @@
+export type GameRules = {
+  // the Lady of the Lake expansion, recommended for 7+ players
+  ladyOfTheLake?: boolean;
+}
@@ -1,9 +1,19 @@
 import { GameMetaDataSerialized } from './game-meta-data-serialized';
 import { PlayersManagerSerialized } from './players-manager-serialized';
 import { QuestsManagerSerialized } from './quests-manager-serialized';
+import { PendingTransitionSerialized } from './pending-transition-serialized';
+import { GameState } from '../enums/game-state';
+import { DeadlineSerialized } from './deadline-serialized';
+import { GameHistorySerialized } from './game-history-serialized';
 
 export type GameSerialized = {
+  // while a transition is pending, the state, that is being transitioned to
+  state: GameState;
   meta: GameMetaDataSerialized;
   players: PlayersManagerSerialized;
   quests: QuestsManagerSerialized;
+  isPaused: boolean;
+  pendingTransition: PendingTransitionSerialized;
+  deadline: DeadlineSerialized;
+  history: GameHistorySerialized;
 }
@@ -0,0 +1,15 @@
+import { GameMetaDataSnapshot } from './game-meta-data-snapshot';
+import { PlayersManagerSnapshot } from './players-manager-snapshot';
+import { QuestsManagerSnapshot } from './quests-manager-snapshot';
+import { GameStateMachineSnapshot } from './game-state-machine-snapshot';
+import { GameHistorySnapshot } from './game-history-snapshot';
+
+export type GameSnapshot = {
+  version: number;
+  stateVersion: number;
+  meta: GameMetaDataSnapshot;
+  players: PlayersManagerSnapshot;
+  quests: QuestsManagerSnapshot;
+  fsm: GameStateMachineSnapshot;
+  history: GameHistorySnapshot;
+}
@@ -0,0 +1,12 @@
+import { GameState } from '../enums/game-state';
+
+export type GameStateMachineSnapshot = {
+  state: GameState;
+  // the state the machine is transitioning from, while frozen
+  frozenFrom: GameState;
+  // the time left until the pending transition fires, if any
+  remainingMs: number;
+  isPaused: boolean;
+  // the time left until the deadline of the current state, if any
+  deadlineRemainingMs: number;
+}
@@ -0,0 +1,15 @@
+import { GameSerialized } from './game-serialized';
+import { PatchOperation } from './patch-operation';
+
+export type GameSync = {
+  // the state version, the player's view is brought up to
+  version: number;
+  // the version, the patch applies to, or null, if the view
+  // is sent in full instead
+  baseVersion: number;
+  patch: PatchOperation[];
+  // the full view, or null, if a patch is sent instead. The
+  // `remainingMs` of the pending transition and the deadline
+  // are null, unless paused, since they change over time
+  state: GameSerialized;
+}
@@ -0,0 +1,7 @@
+import { Loyalty } from '../enums/loyalty';
+
+export type InspectionSerialized = {
+  inspectorId: string;
+  targetId: string;
+  loyalty: Loyalty;
+}
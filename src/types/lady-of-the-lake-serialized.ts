@@ -0,0 +1,7 @@
+import { InspectionSerialized } from './inspection-serialized';
+
+export type LadyOfTheLakeSerialized = {
+  holderId: string;
+  formerHolderIds: string[];
+  inspections: InspectionSerialized[];
+}
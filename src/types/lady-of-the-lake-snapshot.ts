@@ -0,0 +1,8 @@
+export type LadyOfTheLakeSnapshot = {
+  holderId: string;
+  formerHolderIds: string[];
+  inspections: {
+    inspectorId: string;
+    targetId: string;
+  }[];
+}
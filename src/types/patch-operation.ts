@@ -0,0 +1,7 @@
+// a subset of the JSON Patch (RFC 6902) operations
+export type PatchOperation = {
+  op: 'add' | 'remove' | 'replace';
+  // a JSON Pointer (RFC 6901)
+  path: string;
+  value?: any;
+}
@@ -0,0 +1,5 @@
+export type PendingTransitionSerialized = {
+  // the scheduler's time, at which the transition fires, null while paused
+  firesAt: number;
+  remainingMs: number;
+}
@@ -0,0 +1,19 @@
+import { MissingTeamVotePolicy } from '../enums/missing-team-vote-policy';
+
+// the time, each phase is allowed to last, in milliseconds,
+// with no deadline for the phases, that are omitted
+export type PhaseDeadlines = {
+  // upon expiry, the leader's turn passes to the next leader
+  teamProposition?: number;
+  // upon expiry, the missing votes count according to the policy
+  teamVoting?: number;
+  // upon expiry, the missing votes count as a success
+  questVoting?: number;
+  // upon expiry, the inspection is skipped and the holder keeps the Lady
+  ladyOfTheLake?: number;
+  // upon expiry, the proposed victim is assassinated, if any,
+  // otherwise the assassination fails
+  assassination?: number;
+  // rejects by default
+  missingTeamVote?: MissingTeamVotePolicy;
+}
@@ -0,0 +1,7 @@
+import { VoteSerialized } from './vote-serialized';
+
+export type PlayerSnapshot = {
+  id: string;
+  roleId: string;
+  vote: VoteSerialized;
+}
@@ -1,4 +1,6 @@
 import { PlayerSerialized } from './player-serialized';
+import { LadyOfTheLakeSerialized } from './lady-of-the-lake-serialized';
+import { ReplacementSerialized } from './replacement-serialized';
 
 export type PlayersManagerSerialized = {
   collection: PlayerSerialized[];
@@ -6,4 +8,6 @@ export type PlayersManagerSerialized = {
   leaderId: string;
   isSubmitted: boolean;
   victimId: string;
+  ladyOfTheLake: LadyOfTheLakeSerialized;
+  replacements: ReplacementSerialized[];
 }
@@ -0,0 +1,13 @@
+import { PlayerSnapshot } from './player-snapshot';
+import { LadyOfTheLakeSnapshot } from './lady-of-the-lake-snapshot';
+import { ReplacementSerialized } from './replacement-serialized';
+
+export type PlayersManagerSnapshot = {
+  collection: PlayerSnapshot[];
+  proposedPlayerIds: string[];
+  leaderIndex: number;
+  isSubmitted: boolean;
+  victimId: string;
+  ladyOfTheLake: LadyOfTheLakeSnapshot;
+  replacements: ReplacementSerialized[];
+}
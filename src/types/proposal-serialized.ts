@@ -0,0 +1,12 @@
+import { VoteSerialized } from './vote-serialized';
+
+export type ProposalSerialized = {
+  questIndex: number;
+  teamVotingRoundIndex: number;
+  leaderId: string;
+  teammateIds: string[];
+  // empty, until everybody has voted
+  votes: VoteSerialized[];
+  // null, until everybody has voted
+  approved: boolean;
+}
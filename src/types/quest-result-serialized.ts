@@ -0,0 +1,11 @@
+import { VoteSerialized } from './vote-serialized';
+import { QuestStatus } from '../enums/quest-status';
+
+export type QuestResultSerialized = {
+  questIndex: number;
+  teammateIds: string[];
+  status: QuestStatus;
+  failsCount: number;
+  // the values are concealed, until the game is finished
+  votes: VoteSerialized[];
+}
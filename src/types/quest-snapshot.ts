@@ -0,0 +1,10 @@
+import { VoteSerialized } from './vote-serialized';
+
+export type QuestSnapshot = {
+  votesNeededCount: number;
+  failsNeededCount: number;
+  totalPlayers: number;
+  teamVoteRounds: VoteSerialized[][];
+  teamVotingRoundIndex: number;
+  questVotes: VoteSerialized[];
+}
@@ -0,0 +1,8 @@
+import { QuestSnapshot } from './quest-snapshot';
+import { LevelPresetId } from './level-preset-id';
+
+export type QuestsManagerSnapshot = {
+  levelPresetId: LevelPresetId;
+  collection: QuestSnapshot[];
+  currentQuestIndex: number;
+}
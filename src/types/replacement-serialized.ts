@@ -0,0 +1,4 @@
+export type ReplacementSerialized = {
+  formerPlayerId: string;
+  playerId: string;
+}
@@ -1,10 +1,13 @@
-import { RoleId } from '../enums/role-id';
 import { Loyalty } from '../enums/loyalty';
 
 export type RoleConfig = {
-  id: RoleId;
+  // one of the `RoleId`s, or a custom id for a house role
+  id: string;
   name: string;
   description: string;
   loyalty: Loyalty;
-  visibleRoleIds: RoleId[];
+  visibleRoleIds: string[];
+  // the roles, that balance this one out. The game can be started
+  // without them, but a warning is emitted
+  recommendedRoleIds?: string[];
 }
@@ -0,0 +1,5 @@
+export type RoleSetupWarning = {
+  roleId: string;
+  // the recommended roles, that have not been requested
+  missingRoleIds: string[];
+}
@@ -0,0 +1,17 @@
+import { GameRules } from './game-rules';
+import { IAgent } from '../interfaces/agent';
+import { RandomGenerator } from '../random-generator';
+import { RoleRegistry } from '../role-registry';
+
+export type SimulationConfig = {
+  playerCount: number;
+  gamesCount: number;
+  roleIds?: string[];
+  rules?: GameRules;
+  // a seed for the games and the agents, generated randomly if not set
+  seed?: number;
+  // creates an agent for each player, `HeuristicAgent` by default
+  createAgent?: (random: RandomGenerator) => IAgent;
+  // the shared `roleRegistry` by default
+  roleRegistry?: RoleRegistry;
+}
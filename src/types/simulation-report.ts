@@ -0,0 +1,7 @@
+export type SimulationReport = {
+  gamesCount: number;
+  goodWinsCount: number;
+  evilWinsCount: number;
+  goodWinRate: number;
+  evilWinRate: number;
+}
@@ -0,0 +1,33 @@
+import * as _ from 'lodash';
+import { GameSerialized } from './types/game-serialized';
+
+type VersionedView = {
+  version: number;
+  view: GameSerialized;
+};
+
+/**
+ * Keeps the latest views, that have been handed out
+ * to each player, so that the next ones can be sent
+ * as patches.
+ */
+export class ViewHistory {
+  private views: { [playerId: string]: VersionedView[] } = {};
+
+  constructor(private maxLength: number = 10) {
+  }
+
+  record(playerId: string, version: number, view: GameSerialized) {
+    const views = (this.views[playerId] || []).filter(v => v.version !== version);
+
+    views.push({version, view: _.cloneDeep(view)});
+
+    this.views[playerId] = views.slice(-this.maxLength);
+  }
+
+  find(playerId: string, version: number): GameSerialized {
+    const found = (this.views[playerId] || []).find(v => v.version === version);
+
+    return found ? found.view : null;
+  }
+}
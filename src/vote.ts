@@ -17,6 +17,10 @@ export class Vote {
     return this.value;
   }
 
+  static restore(serialized: VoteSerialized): Vote {
+    return new Vote(serialized.id, serialized.value);
+  }
+
   serialize(): VoteSerialized {
     return {
       id: this.id,
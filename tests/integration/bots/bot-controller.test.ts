@@ -0,0 +1,190 @@
+import * as _ from 'lodash';
+import { GameClient } from '../../../src/game-client';
+import { GameAction } from '../../../src/enums/game-action';
+import { GameReplayer } from '../../../src/game-replayer';
+import { GameConfig } from '../../../src/types/game-config';
+import { BotController } from '../../../src/bots/bot-controller';
+import { HeuristicAgent } from '../../../src/bots/heuristic-agent';
+import { RandomAgent } from '../../../src/bots/random-agent';
+import { RandomGenerator } from '../../../src/random-generator';
+import { FakeScheduler } from '../../../src/schedulers/fake-scheduler';
+import { GameStatus } from '../../../src/enums/game-status';
+import { IAgent } from '../../../src/interfaces/agent';
+import { GameSerialized } from '../../../src/types/game-serialized';
+
+const instantConfig: GameConfig = {
+  stateTransitionWaitTimes: {
+    afterTeamProposition: 0,
+    afterTeamVoting: 0,
+    afterQuestVoting: 0,
+  },
+};
+
+function getStatus(client: GameClient) {
+  return client.serialize('bot-0').meta.status;
+}
+
+let client: GameClient;
+let bots: BotController;
+beforeEach(() => {
+  client = new GameClient({...instantConfig, seed: 3});
+  bots   = new BotController(client);
+});
+
+test('should play the game through to the end', () => {
+  _.times(5, (i) => {
+    client.addPlayer(`bot-${i}`);
+    bots.control(`bot-${i}`, new HeuristicAgent(RandomGenerator.fromSeed(i)));
+  });
+
+  client.start();
+
+  expect(getStatus(client)).not.toStrictEqual(GameStatus.Unfinished);
+});
+
+test('should play a game, that can be replayed from its action log', () => {
+  _.times(7, (i) => {
+    client.addPlayer(`bot-${i}`);
+    bots.control(`bot-${i}`, new HeuristicAgent(RandomGenerator.fromSeed(i)));
+  });
+
+  client.start([], {ladyOfTheLake: true});
+
+  const replayed = GameReplayer.replay(client.getActionLog());
+
+  expect(getStatus(replayed)).not.toStrictEqual(GameStatus.Unfinished);
+  expect(_.omit(replayed.serialize('bot-0'), 'meta'))
+    .toEqual(_.omit(client.serialize('bot-0'), 'meta'));
+  expect(replayed.getReport()).toEqual(client.getReport());
+});
+
+test('should wait for the players, that are not controlled', () => {
+  _.times(5, i => client.addPlayer(`bot-${i}`));
+  _.times(4, i => bots.control(`bot-${i}`, new RandomAgent(RandomGenerator.fromSeed(i))));
+
+  client.start();
+
+  expect(getStatus(client)).toStrictEqual(GameStatus.Unfinished);
+
+  bots.control('bot-4', new RandomAgent(RandomGenerator.fromSeed(4)));
+
+  expect(getStatus(client)).not.toStrictEqual(GameStatus.Unfinished);
+});
+
+test('should stop acting for a released player', () => {
+  _.times(5, (i) => {
+    client.addPlayer(`bot-${i}`);
+    bots.control(`bot-${i}`, new RandomAgent(RandomGenerator.fromSeed(i)));
+  });
+
+  bots.release('bot-3');
+  client.start();
+
+  expect(bots.isControlled('bot-3')).toBeFalsy();
+  expect(getStatus(client)).toStrictEqual(GameStatus.Unfinished);
+});
+
+test('should hand each agent the view of its own player only', () => {
+  const views: { [playerId: string]: GameSerialized[] } = {};
+  const spy = (agent: IAgent): IAgent => ({
+    proposeTeam: (view, id) => record(view, id) && agent.proposeTeam(view, id),
+    voteForTeam: (view, id) => record(view, id) && agent.voteForTeam(view, id),
+    voteForQuest: (view, id) => record(view, id) && agent.voteForQuest(view, id),
+    chooseVictim: (view, id) => record(view, id) && agent.chooseVictim(view, id),
+    chooseInspectionTarget: (view, id) => record(view, id) && agent.chooseInspectionTarget(view, id),
+  });
+  const record = (view: GameSerialized, id: string) => {
+    expect(view).toEqual(client.serialize(id));
+
+    views[id] = [...(views[id] || []), view];
+
+    return true;
+  };
+
+  _.times(5, (i) => {
+    client.addPlayer(`bot-${i}`);
+    bots.control(`bot-${i}`, spy(new HeuristicAgent(RandomGenerator.fromSeed(i))));
+  });
+
+  client.start();
+
+  expect(Object.keys(views).length).toStrictEqual(5);
+});
+
+test.each(_.range(1, 21))(
+  'should act after the delayed transitions and not while paused (seed %i)',
+  (seed) => {
+    const scheduler = new FakeScheduler();
+    const config    = {
+      stateTransitionWaitTimes: {
+        afterTeamProposition: 100,
+        afterTeamVoting: 100,
+        afterQuestVoting: 100,
+      },
+      seed,
+      scheduler,
+    };
+
+    client = new GameClient(config);
+    bots   = new BotController(client);
+
+    _.times(5, (i) => {
+      client.addPlayer(`bot-${i}`);
+      bots.control(`bot-${i}`, new RandomAgent(RandomGenerator.fromSeed(seed * 10 + i)));
+    });
+
+    client.start();
+    client.pause();
+    scheduler.runAll();
+
+    expect(getStatus(client)).toStrictEqual(GameStatus.Unfinished);
+
+    client.resume();
+    scheduler.runAll();
+
+    expect(getStatus(client)).not.toStrictEqual(GameStatus.Unfinished);
+    expect(client.getActionLog().entries.filter(entry => entry.error)).toEqual([]);
+  },
+);
+
+test('should drop the rejected actions of the agents', () => {
+  // proposes an incomplete team, which gets rejected upon submission
+  const broken = new RandomAgent(RandomGenerator.fromSeed(0));
+  broken.proposeTeam = () => [];
+
+  _.times(5, (i) => {
+    client.addPlayer(`bot-${i}`);
+    bots.control(`bot-${i}`, broken);
+  });
+
+  expect(() => client.start()).not.toThrow();
+
+  const entries = client.getActionLog().entries;
+
+  expect(entries.find(entry => entry.action === GameAction.Start).error).toBeNull();
+  expect(entries.find(entry => entry.action === GameAction.SubmitTeam).error)
+    .toEqual({name: 'RequiredCorrectTeammatesAmountError', code: expect.any(String)});
+});
+
+test('should use the Lady of the Lake', () => {
+  _.times(7, (i) => {
+    client.addPlayer(`bot-${i}`);
+    bots.control(`bot-${i}`, new RandomAgent(RandomGenerator.fromSeed(i)));
+  });
+
+  client.start([], {ladyOfTheLake: true});
+
+  expect(getStatus(client)).not.toStrictEqual(GameStatus.Unfinished);
+});
+
+test('should stop acting once disposed', () => {
+  _.times(5, (i) => {
+    client.addPlayer(`bot-${i}`);
+    bots.control(`bot-${i}`, new RandomAgent(RandomGenerator.fromSeed(i)));
+  });
+
+  bots.dispose();
+  client.start();
+
+  expect(getStatus(client)).toStrictEqual(GameStatus.Unfinished);
+});
@@ -0,0 +1,73 @@
+import * as _ from 'lodash';
+import { GameClient } from '../../../src/game-client';
+import { HeuristicAgent } from '../../../src/bots/heuristic-agent';
+import { RandomGenerator } from '../../../src/random-generator';
+import { RoleId } from '../../../src/enums/role-id';
+import { Loyalty } from '../../../src/enums/loyalty';
+import { GameSerialized } from '../../../src/types/game-serialized';
+
+let client: GameClient;
+let agent: HeuristicAgent;
+let merlinId: string;
+let assassinId: string;
+beforeEach(() => {
+  client = new GameClient({
+    stateTransitionWaitTimes: {
+      afterTeamProposition: 0,
+      afterTeamVoting: 0,
+      afterQuestVoting: 0,
+    },
+    seed: 8,
+  });
+  agent  = new HeuristicAgent(RandomGenerator.fromSeed(1));
+
+  _.times(5, i => client.addPlayer(`user-${i}`));
+  client.start();
+
+  const players = client.snapshot().players.collection;
+
+  merlinId   = players.find(p => p.roleId === RoleId.Merlin).id;
+  assassinId = players.find(p => p.roleId === RoleId.Assassin).id;
+});
+
+function withTeam(view: GameSerialized, ids: string[]): GameSerialized {
+  return {...view, players: {...view.players, proposedPlayerIds: ids}};
+}
+
+test('should propose a team of the right size, including the player', () => {
+  const team = agent.proposeTeam(client.serialize(merlinId), merlinId);
+
+  expect(team.length).toStrictEqual(2);
+  expect(team).toContain(merlinId);
+  expect(team).not.toContain(assassinId);
+});
+
+test('should reject the teams with the known evil players, if good', () => {
+  const view = client.serialize(merlinId);
+
+  expect(agent.voteForTeam(withTeam(view, [merlinId, assassinId]), merlinId)).toBeFalsy();
+  expect(agent.voteForTeam(withTeam(view, [merlinId]), merlinId)).toBeTruthy();
+});
+
+test('should approve the teams with the evil players, if evil', () => {
+  const view = client.serialize(assassinId);
+
+  expect(agent.voteForTeam(withTeam(view, [merlinId, assassinId]), assassinId)).toBeTruthy();
+  expect(agent.voteForTeam(withTeam(view, [merlinId]), assassinId)).toBeFalsy();
+});
+
+test('should fail the quests only if evil', () => {
+  expect(agent.voteForQuest(client.serialize(merlinId), merlinId)).toBeTruthy();
+  expect(agent.voteForQuest(client.serialize(assassinId), assassinId)).toBeFalsy();
+});
+
+test('should not choose a known evil player as the victim', () => {
+  const view    = client.serialize(assassinId);
+  const evilIds = view.players.collection
+    .filter(p => p.role.loyalty === Loyalty.Evil)
+    .map(p => p.id);
+
+  _.times(10, () => {
+    expect(evilIds).not.toContain(agent.chooseVictim(view, assassinId));
+  });
+});
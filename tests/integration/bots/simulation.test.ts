@@ -0,0 +1,37 @@
+import * as fromErrors from '../../../src/errors';
+import { Simulation } from '../../../src/bots/simulation';
+import { RandomAgent } from '../../../src/bots/random-agent';
+import { RoleId } from '../../../src/enums/role-id';
+
+test('should report the win rates of both sides', () => {
+  const report = Simulation.run({playerCount: 5, gamesCount: 20, seed: 1});
+
+  expect(report.gamesCount).toStrictEqual(20);
+  expect(report.goodWinsCount + report.evilWinsCount).toStrictEqual(20);
+  expect(report.goodWinRate + report.evilWinRate).toBeCloseTo(1);
+});
+
+test('should produce the same report for the same seed', () => {
+  const config = {
+    playerCount: 7,
+    gamesCount: 10,
+    roleIds: [RoleId.Percival, RoleId.Morgana],
+    rules: {ladyOfTheLake: true},
+    seed: 42,
+  };
+
+  expect(Simulation.run(config)).toEqual(Simulation.run(config));
+});
+
+test('should use the given agents', () => {
+  const createAgent = jest.fn(random => new RandomAgent(random));
+
+  Simulation.run({playerCount: 6, gamesCount: 2, seed: 1, createAgent});
+
+  expect(createAgent).toBeCalledTimes(12);
+});
+
+test('should reject a role setup, that does not fit the players', () => {
+  expect(() => Simulation.run({playerCount: 5, gamesCount: 1, roleIds: [RoleId.Morgana, RoleId.Mordred]}))
+    .toThrow(fromErrors.EvilRolesExceededError);
+});
@@ -0,0 +1,1176 @@
+import * as _ from 'lodash';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as fromErrors from '../../src/errors';
+import { GameClient } from '../../src/game-client';
+import { GameConfig } from '../../src/types/game-config';
+import { GameState } from '../../src/enums/game-state';
+import { FakeScheduler } from '../../src/schedulers/fake-scheduler';
+import { GameEvent } from '../../src/enums/game-event';
+import { RoleId } from '../../src/enums/role-id';
+import { Loyalty } from '../../src/enums/loyalty';
+import { RoleRegistry, roleRegistry } from '../../src/role-registry';
+import { QuestStatus } from '../../src/enums/quest-status';
+import { GameStatus } from '../../src/enums/game-status';
+import { JsonPatch } from '../../src/json-patch';
+import { PhaseDeadlines } from '../../src/types/phase-deadlines';
+import { MissingTeamVotePolicy } from '../../src/enums/missing-team-vote-policy';
+import { GameReplayer } from '../../src/game-replayer';
+import { GameSerialized } from '../../src/types/game-serialized';
+
+const instantConfig: GameConfig = {
+  stateTransitionWaitTimes: {
+    afterTeamProposition: 0,
+    afterTeamVoting: 0,
+    afterQuestVoting: 0,
+  },
+};
+
+function getLeaderId(client: GameClient) {
+  return client.serialize('user-0').players.leaderId;
+}
+
+function proposeAndSubmitTeam(client: GameClient, ids: string[]) {
+  const leaderId = getLeaderId(client);
+
+  ids.forEach(id => client.toggleTeammateProposition(leaderId, id));
+
+  client.submitTeam(leaderId);
+}
+
+function voteAllForTeam(client: GameClient, voteValue: boolean) {
+  _.times(5, i => client.voteForTeam(`user-${i}`, voteValue));
+}
+
+describe('snapshot and restore', () => {
+  let client: GameClient;
+  beforeEach(() => {
+    client = new GameClient(instantConfig);
+
+    _.times(5, i => client.addPlayer(`user-${i}`));
+
+    client.start();
+  });
+
+  test('should produce an identical snapshot after restoring', () => {
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+    voteAllForTeam(client, false);
+
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+    voteAllForTeam(client, true);
+
+    client.voteForQuest('user-1', true);
+
+    const snapshot = client.snapshot();
+
+    expect(GameClient.restore(snapshot, instantConfig).snapshot()).toEqual(snapshot);
+  });
+
+  test('should survive a round trip through JSON', () => {
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+
+    const snapshot = JSON.parse(JSON.stringify(client.snapshot()));
+    const restored = GameClient.restore(snapshot, instantConfig);
+
+    _.times(5, (i) => {
+      expect(restored.serialize(`user-${i}`)).toEqual(client.serialize(`user-${i}`));
+    });
+  });
+
+  test('should keep the game id', () => {
+    const restored = GameClient.restore(client.snapshot(), instantConfig);
+
+    expect(restored.getId()).toStrictEqual(client.getId());
+  });
+
+  test('should reveal every role in the snapshot', () => {
+    const roleIds = client.snapshot().players.collection.map(p => p.roleId);
+
+    expect(roleIds).toContain('Merlin');
+    expect(roleIds).toContain('Assassin');
+  });
+
+  test('should keep the votes, that were already cast', () => {
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+
+    client.voteForTeam('user-1', true);
+
+    const restored = GameClient.restore(client.snapshot(), instantConfig);
+
+    expect(() => restored.voteForTeam('user-1', true))
+      .toThrow(fromErrors.DeniedTeamVotingError);
+    expect(() => restored.voteForTeam('user-2', true)).not.toThrow();
+  });
+
+  test('should keep the team votes of the previous rounds', () => {
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+    voteAllForTeam(client, false);
+
+    const quest = client.snapshot().quests.collection[0];
+
+    expect(quest.teamVotingRoundIndex).toStrictEqual(1);
+    expect(quest.teamVoteRounds[0].length).toStrictEqual(5);
+  });
+
+  test('should resume the pending transition of a frozen game', () => {
+    jest.useFakeTimers();
+
+    const config: GameConfig = {
+      stateTransitionWaitTimes: {
+        afterTeamProposition: 1000,
+        afterTeamVoting: 1000,
+        afterQuestVoting: 1000,
+      },
+    };
+
+    const timedClient = new GameClient(config);
+    _.times(5, i => timedClient.addPlayer(`user-${i}`));
+    timedClient.start();
+
+    proposeAndSubmitTeam(timedClient, ['user-1', 'user-2']);
+
+    const snapshot = timedClient.snapshot();
+
+    expect(snapshot.fsm).toEqual({
+      state: GameState.TeamVoting,
+      frozenFrom: GameState.TeamProposition,
+      remainingMs: expect.any(Number),
+      isPaused: false,
+      deadlineRemainingMs: null,
+    });
+
+    const restored = GameClient.restore(snapshot, config);
+
+    expect(() => restored.voteForTeam('user-1', true))
+      .toThrow(fromErrors.NoTimeForTeamVotingError);
+
+    jest.advanceTimersByTime(1000);
+
+    expect(() => restored.voteForTeam('user-1', true)).not.toThrow();
+  });
+
+  test('should resume the pending transition with the time that was left', () => {
+    const scheduler = new FakeScheduler();
+    const config: GameConfig = {
+      stateTransitionWaitTimes: {
+        afterTeamProposition: 1000,
+        afterTeamVoting: 1000,
+        afterQuestVoting: 1000,
+      },
+      scheduler,
+    };
+
+    const timedClient = new GameClient(config);
+    _.times(5, i => timedClient.addPlayer(`user-${i}`));
+    timedClient.start();
+
+    proposeAndSubmitTeam(timedClient, ['user-1', 'user-2']);
+    scheduler.advanceBy(700);
+
+    const restored = GameClient.restore(timedClient.snapshot(), config);
+
+    expect(restored.serialize('user-0').pendingTransition.remainingMs).toStrictEqual(300);
+  });
+
+  test('should keep the game paused', () => {
+    client.pause();
+
+    const restored = GameClient.restore(client.snapshot(), instantConfig);
+
+    expect(restored.serialize('user-0').isPaused).toBeTruthy();
+  });
+
+  test('should restore a snapshot of the released format', () => {
+    const snapshot = JSON.parse(fs.readFileSync(
+      path.join(__dirname, '../fixtures/game-snapshot.v1.json'),
+      'utf8',
+    ));
+
+    const restored = GameClient.restore(snapshot, instantConfig);
+
+    expect(restored.snapshot()).toEqual(snapshot);
+    expect(restored.serialize('user-7').state).toStrictEqual(GameState.TeamVoting);
+
+    ['user-1', 'user-2', 'user-4', 'user-5', 'user-7']
+      .forEach(id => restored.voteForTeam(id, true));
+
+    expect(restored.serialize('user-7').state).toStrictEqual(GameState.QuestVoting);
+  });
+
+  test('should throw if the snapshot version is not supported', () => {
+    const snapshot = {...client.snapshot(), version: 999};
+
+    expect(() => GameClient.restore(snapshot, instantConfig))
+      .toThrow(fromErrors.UnsupportedSnapshotVersionError);
+  });
+});
+
+describe('pause, resume and dispose', () => {
+  let scheduler: FakeScheduler;
+  let client: GameClient;
+  beforeEach(() => {
+    scheduler = new FakeScheduler();
+    client    = new GameClient({
+      stateTransitionWaitTimes: {
+        afterTeamProposition: 1000,
+        afterTeamVoting: 1000,
+        afterQuestVoting: 1000,
+      },
+      scheduler,
+    });
+
+    _.times(5, i => client.addPlayer(`user-${i}`));
+
+    client.start();
+  });
+
+  test('should reject the actions while paused', () => {
+    client.pause();
+
+    expect(() => client.toggleTeammateProposition(getLeaderId(client), 'user-1'))
+      .toThrow(fromErrors.PausedGameError);
+
+    client.resume();
+
+    expect(() => client.toggleTeammateProposition(getLeaderId(client), 'user-1'))
+      .not
+      .toThrow();
+  });
+
+  test('should expose the pending transition to the listeners of the state change', () => {
+    const views: GameSerialized[] = [];
+    client.on(GameEvent.StateChange, () => views.push(client.serialize('user-0')));
+
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+
+    expect(_.last(views).pendingTransition).toEqual({
+      firesAt: 1000,
+      remainingMs: 1000,
+    });
+  });
+
+  test('should hold the countdown while paused', () => {
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+
+    client.pause();
+    scheduler.advanceBy(5000);
+    client.resume();
+
+    expect(client.serialize('user-0').pendingTransition).toEqual({
+      firesAt: 6000,
+      remainingMs: 1000,
+    });
+
+    scheduler.advanceBy(1000);
+
+    expect(() => client.voteForTeam('user-1', true)).not.toThrow();
+  });
+
+  test('should reject the actions and stop emitting the events once disposed', () => {
+    const listener = jest.fn();
+    client.on(GameEvent.StateChange, listener);
+
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+    listener.mockClear();
+
+    client.dispose();
+    scheduler.runAll();
+
+    expect(listener).not.toBeCalled();
+    expect(() => client.voteForTeam('user-1', true))
+      .toThrow(fromErrors.DisposedGameError);
+  });
+});
+
+describe('randomness', () => {
+  test('should assign the same roles and leader for the same seed', () => {
+    const serialize = (client: GameClient) => {
+      _.times(7, i => client.addPlayer(`user-${i}`));
+
+      client.start();
+
+      return client.snapshot().players;
+    };
+
+    const a = serialize(new GameClient({...instantConfig, seed: 99}));
+    const b = serialize(new GameClient({...instantConfig, seed: 99}));
+
+    expect(a).toEqual(b);
+  });
+
+  test('should use a custom source of random numbers', () => {
+    const random = jest.fn(() => 0);
+    const client = new GameClient({...instantConfig, random});
+
+    _.times(5, i => client.addPlayer(`user-${i}`));
+    client.start();
+
+    expect(random).toBeCalled();
+    expect(client.getActionLog().seed).toBeNull();
+  });
+});
+
+describe('action log', () => {
+  let client: GameClient;
+  beforeEach(() => {
+    client = new GameClient({...instantConfig, seed: 5});
+  });
+
+  test('should record the seed', () => {
+    expect(client.getActionLog()).toEqual({seed: 5, entries: []});
+  });
+
+  test('should generate a seed, if the seed is null', () => {
+    const seed = new GameClient({...instantConfig, seed: null}).getActionLog().seed;
+
+    expect(typeof seed).toStrictEqual('number');
+  });
+
+  test('should start the log of a restored game anew, without a seed', () => {
+    client.addPlayer('user-0');
+
+    const restored = GameClient.restore(client.snapshot(), {...instantConfig, seed: 5});
+
+    expect(restored.getActionLog()).toEqual({seed: null, entries: []});
+    expect(() => GameReplayer.replay(restored.getActionLog()))
+      .toThrow(fromErrors.RequiredSeedError);
+  });
+
+  test('should assign the roles of a restored game according to the seed', () => {
+    _.times(5, i => client.addPlayer(`user-${i}`));
+
+    const restored = GameClient.restore(client.snapshot(), {...instantConfig, seed: 5});
+
+    client.start();
+    restored.start();
+
+    expect(restored.snapshot().players).toEqual(client.snapshot().players);
+  });
+
+  test('should record the calls in order', () => {
+    client.addPlayer('user-0');
+    client.addPlayer('user-1');
+    client.removePlayer('user-0');
+
+    expect(client.getActionLog().entries).toEqual([
+      {action: 'addPlayer', args: ['user-0'], error: null},
+      {action: 'addPlayer', args: ['user-1'], error: null},
+      {action: 'removePlayer', args: ['user-0'], error: null},
+    ]);
+  });
+
+  test('should record the rejected calls along with the error', () => {
+    client.addPlayer('user-0');
+
+    expect(() => client.addPlayer('user-0'))
+      .toThrow(fromErrors.AlreadyExistsPlayerError);
+
+    expect(client.getActionLog().entries[1]).toEqual({
+      action: 'addPlayer',
+      args: ['user-0'],
+      error: {
+        name: 'AlreadyExistsPlayerError',
+        code: 'ERR_PLAYER_EXISTS',
+      },
+    });
+  });
+
+  test('should not be affected by the mutations of the returned log', () => {
+    client.addPlayer('user-0');
+
+    client.getActionLog().entries[0].args.push('user-1');
+
+    expect(client.getActionLog().entries[0].args).toEqual(['user-0']);
+  });
+});
+
+describe('house roles', () => {
+  afterEach(() => {
+    if (roleRegistry.has('HouseRole_Cultist')) {
+      roleRegistry.unregister('HouseRole_Cultist');
+    }
+  });
+
+  test('should assign a registered role and reveal it according to the visibility rules', () => {
+    roleRegistry.register({
+      id: 'HouseRole_Cultist',
+      name: 'Cultist',
+      description: 'Seen by Merlin only',
+      loyalty: Loyalty.Evil,
+      visibleRoleIds: [],
+    }, [RoleId.Merlin]);
+
+    const client = new GameClient(instantConfig);
+    _.times(7, i => client.addPlayer(`user-${i}`));
+    client.start(['HouseRole_Cultist']);
+
+    const players = client.snapshot().players.collection;
+    const cultist = players.find(p => p.roleId === 'HouseRole_Cultist');
+    const merlin  = players.find(p => p.roleId === RoleId.Merlin);
+    const seenBy  = (id: string) => client.serialize(id).players.collection
+      .find(p => p.id === cultist.id)
+      .role
+      .id;
+
+    expect(seenBy(merlin.id)).toStrictEqual('HouseRole_Cultist');
+    expect(seenBy(players.find(p => p.roleId === RoleId.Assassin).id))
+      .toStrictEqual(RoleId.Unknown);
+  });
+
+  describe('registered per game', () => {
+    let registry: RoleRegistry;
+    let client: GameClient;
+    beforeEach(() => {
+      registry = new RoleRegistry();
+      registry.register({
+        id: 'HouseRole_Oracle',
+        name: 'Oracle',
+        description: 'Sees Merlin',
+        loyalty: Loyalty.Good,
+        visibleRoleIds: [RoleId.Merlin],
+      });
+
+      client = new GameClient({...instantConfig, roleRegistry: registry});
+      _.times(5, i => client.addPlayer(`user-${i}`));
+      client.start(['HouseRole_Oracle']);
+    });
+
+    test('should not make the role available to the other games', () => {
+      const other = new GameClient(instantConfig);
+      _.times(5, i => other.addPlayer(`user-${i}`));
+
+      expect(roleRegistry.has('HouseRole_Oracle')).toBeFalsy();
+      expect(() => other.start(['HouseRole_Oracle'])).toThrow(fromErrors.UnknownRoleError);
+    });
+
+    test('should require the registry to restore the game', () => {
+      const snapshot = client.snapshot();
+
+      expect(() => GameClient.restore(snapshot, instantConfig))
+        .toThrow(fromErrors.UnknownRoleError);
+      expect(GameClient.restore(snapshot, {...instantConfig, roleRegistry: registry}).snapshot())
+        .toEqual(snapshot);
+    });
+  });
+});
+
+describe('state versions and sync', () => {
+  let client: GameClient;
+  beforeEach(() => {
+    client = new GameClient(instantConfig);
+
+    _.times(5, i => client.addPlayer(`user-${i}`));
+
+    client.start();
+  });
+
+  test('should increase the state version upon every state change', () => {
+    const version = client.getStateVersion();
+
+    client.toggleTeammateProposition(getLeaderId(client), 'user-1');
+
+    expect(client.getStateVersion()).toBeGreaterThan(version);
+  });
+
+  test('should keep the state version in the snapshot', () => {
+    const restored = GameClient.restore(client.snapshot(), instantConfig);
+
+    expect(restored.getStateVersion()).toStrictEqual(client.getStateVersion());
+  });
+
+  test('should sync the full view initially', () => {
+    expect(client.sync('user-0')).toEqual({
+      version: client.getStateVersion(),
+      baseVersion: null,
+      patch: null,
+      state: client.serialize('user-0'),
+    });
+  });
+
+  test('should sync a patch, that brings the view up to date', () => {
+    const initial = client.sync('user-0');
+
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+    client.voteForTeam('user-3', true);
+
+    const sync = client.sync('user-0', initial.version);
+
+    expect(sync.baseVersion).toStrictEqual(initial.version);
+    expect(sync.state).toBeNull();
+    expect(JsonPatch.apply(initial.state, sync.patch)).toEqual(client.serialize('user-0'));
+  });
+
+  test('should sync the same view for the same version, as the time passes', () => {
+    const scheduler = new FakeScheduler();
+
+    client = new GameClient({
+      stateTransitionWaitTimes: {
+        afterTeamProposition: 1000,
+        afterTeamVoting: 1000,
+        afterQuestVoting: 1000,
+      },
+      scheduler,
+      deadlines: {teamVoting: 5000},
+    });
+
+    _.times(5, i => client.addPlayer(`user-${i}`));
+    client.start();
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+
+    const first = client.sync('user-0');
+
+    expect(first.state.pendingTransition).toEqual({firesAt: 1000, remainingMs: null});
+
+    scheduler.advanceBy(500);
+
+    const second = client.sync('user-0');
+
+    expect(second.version).toStrictEqual(first.version);
+    expect(second.state).toEqual(first.state);
+    expect(client.sync('user-0', first.version).patch).toEqual([]);
+
+    scheduler.advanceBy(700);
+    client.pause();
+
+    expect(client.sync('user-0').state.deadline).toEqual({
+      state: GameState.TeamVoting,
+      expiresAt: null,
+      remainingMs: 4800,
+    });
+  });
+
+  test('should sync an empty patch, if nothing has changed', () => {
+    const {version} = client.sync('user-0');
+
+    expect(client.sync('user-0', version).patch).toEqual([]);
+  });
+
+  test('should apply the same redaction to the patch', () => {
+    const {version} = client.sync('user-0');
+
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+    client.voteForTeam('user-3', false);
+
+    const values = client.sync('user-0', version).patch
+      .filter(o => o.path.startsWith('/quests'))
+      .map(o => JSON.stringify(o.value));
+
+    expect(values.join()).not.toContain('false');
+  });
+
+  test('should sync the full view, if the version is too old or unknown', () => {
+    const {version} = client.sync('user-0');
+
+    _.times(10, () => {
+      client.toggleTeammateProposition(getLeaderId(client), 'user-1');
+      client.sync('user-0');
+    });
+
+    expect(client.sync('user-0', version).state).toEqual(client.serialize('user-0'));
+    expect(client.sync('user-1', version).state).toEqual(client.serialize('user-1'));
+  });
+});
+
+describe('deadlines', () => {
+  let scheduler: FakeScheduler;
+  const createClient = (deadlines: PhaseDeadlines) => {
+    scheduler = new FakeScheduler();
+
+    const client = new GameClient({...instantConfig, seed: 2, scheduler, deadlines});
+    _.times(5, i => client.addPlayer(`user-${i}`));
+    client.start();
+
+    return client;
+  };
+
+  test('should not set a deadline by default', () => {
+    const client = createClient({});
+
+    expect(client.serialize('user-0').deadline).toBeNull();
+  });
+
+  test('should pass the leader\'s turn to the next leader', () => {
+    const client   = createClient({teamProposition: 1000});
+    const leaderId = getLeaderId(client);
+    const ids      = client.snapshot().players.collection.map(p => p.id);
+
+    client.toggleTeammateProposition(leaderId, 'user-1');
+    scheduler.advanceBy(1000);
+
+    const view = client.serialize('user-0');
+
+    expect(view.players.leaderId)
+      .toStrictEqual(ids[(ids.indexOf(leaderId) + 1) % ids.length]);
+    expect(view.players.proposedPlayerIds).toEqual([]);
+    expect(view.deadline).toEqual({
+      state: GameState.TeamProposition,
+      expiresAt: 2000,
+      remainingMs: 1000,
+    });
+  });
+
+  test('should count the missing team votes as rejections by default', () => {
+    const client = createClient({teamVoting: 1000});
+
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+    client.voteForTeam('user-0', true);
+    client.voteForTeam('user-1', true);
+    scheduler.advanceBy(1000);
+
+    const view = client.serialize('user-0');
+
+    expect(view.state).toStrictEqual(GameState.TeamProposition);
+    expect(view.quests.teamVotingRoundIndex).toStrictEqual(1);
+  });
+
+  test('should count the missing team votes as approvals, if configured', () => {
+    const client = createClient({
+      teamVoting: 1000,
+      missingTeamVote: MissingTeamVotePolicy.Approve,
+    });
+
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+    scheduler.advanceBy(1000);
+
+    expect(client.serialize('user-0').state).toStrictEqual(GameState.QuestVoting);
+  });
+
+  test('should count the missing quest votes as a success', () => {
+    const client = createClient({questVoting: 1000});
+
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+    voteAllForTeam(client, true);
+    scheduler.advanceBy(1000);
+
+    expect(client.serialize('user-0').quests.collection[0].status)
+      .toStrictEqual(QuestStatus.Won);
+  });
+
+  test('should skip the inspection, the holder keeping the Lady of the Lake', () => {
+    scheduler = new FakeScheduler();
+
+    const client = new GameClient({
+      ...instantConfig,
+      seed: 2,
+      scheduler,
+      deadlines: {ladyOfTheLake: 1000},
+    });
+
+    _.times(7, i => client.addPlayer(`user-${i}`));
+    client.start([], {ladyOfTheLake: true});
+
+    [['user-1', 'user-2'], ['user-1', 'user-2', 'user-3']].forEach((ids) => {
+      proposeAndSubmitTeam(client, ids);
+      _.times(7, i => client.voteForTeam(`user-${i}`, true));
+      ids.forEach(id => client.voteForQuest(id, true));
+    });
+
+    const lady = client.serialize('user-0').players.ladyOfTheLake;
+
+    expect(client.serialize('user-0').state).toStrictEqual(GameState.LadyOfTheLake);
+
+    scheduler.advanceBy(1000);
+
+    expect(client.serialize('user-0').state).toStrictEqual(GameState.TeamProposition);
+    expect(client.serialize('user-0').players.ladyOfTheLake).toEqual(lady);
+  });
+
+  describe('assassination', () => {
+    let client: GameClient;
+    let assassinId: string;
+    let merlinId: string;
+    beforeEach(() => {
+      client = createClient({assassination: 1000});
+
+      [['user-1', 'user-2'], ['user-1', 'user-2', 'user-3'], ['user-1', 'user-2']]
+        .forEach((ids) => {
+          proposeAndSubmitTeam(client, ids);
+          voteAllForTeam(client, true);
+          ids.forEach(id => client.voteForQuest(id, true));
+        });
+
+      const players = client.snapshot().players.collection;
+
+      assassinId = players.find(p => p.roleId === RoleId.Assassin).id;
+      merlinId   = players.find(p => p.roleId === RoleId.Merlin).id;
+    });
+
+    test('should assassinate the proposed victim', () => {
+      client.toggleVictimProposition(assassinId, merlinId);
+      scheduler.advanceBy(1000);
+
+      expect(client.serialize('user-0').meta.status).toStrictEqual(GameStatus.Lost);
+      expect(client.getReport().history.assassination)
+        .toEqual({assassinId, victimId: merlinId, succeeded: true});
+    });
+
+    test('should fail the assassination, if no victim has been proposed', () => {
+      expect(client.serialize('user-0').state).toStrictEqual(GameState.Assassination);
+
+      scheduler.advanceBy(1000);
+
+      expect(client.serialize('user-0').meta.status).toStrictEqual(GameStatus.Won);
+      expect(client.getReport().history.assassination)
+        .toEqual({assassinId, victimId: null, succeeded: false});
+    });
+  });
+
+  test('should expire the deadline on demand, unless paused', () => {
+    const client   = createClient({teamProposition: 1000});
+    const leaderId = getLeaderId(client);
+
+    client.pause();
+
+    expect(() => client.expireDeadline()).toThrow(fromErrors.PausedGameError);
+
+    client.resume();
+    client.expireDeadline();
+
+    expect(getLeaderId(client)).not.toStrictEqual(leaderId);
+  });
+
+  test('should announce the expiry', () => {
+    const client   = createClient({teamProposition: 1000});
+    const listener = jest.fn();
+
+    client.on(GameEvent.DeadlineExpired, listener);
+    scheduler.advanceBy(1000);
+
+    expect(listener).toBeCalledWith({state: GameState.TeamProposition});
+  });
+
+  test('should hold the deadline while paused', () => {
+    const client   = createClient({teamProposition: 1000});
+    const leaderId = getLeaderId(client);
+
+    client.pause();
+    scheduler.advanceBy(5000);
+
+    expect(client.serialize('user-0').deadline.remainingMs).toStrictEqual(1000);
+
+    client.resume();
+    scheduler.advanceBy(999);
+
+    expect(getLeaderId(client)).toStrictEqual(leaderId);
+  });
+
+  test('should keep the time left until the deadline in the snapshot', () => {
+    const client = createClient({teamProposition: 1000});
+
+    scheduler.advanceBy(400);
+
+    const restored = GameClient.restore(client.snapshot(), {
+      ...instantConfig,
+      scheduler,
+      deadlines: {teamProposition: 1000},
+    });
+
+    expect(restored.serialize('user-0').deadline.remainingMs).toStrictEqual(600);
+  });
+
+  test('should start the configured deadline, if the snapshot has none', () => {
+    const client = createClient({});
+
+    const restored = GameClient.restore(client.snapshot(), {
+      ...instantConfig,
+      scheduler,
+      deadlines: {teamProposition: 1000},
+    });
+
+    expect(restored.serialize('user-0').deadline).toEqual({
+      state: GameState.TeamProposition,
+      expiresAt: 1000,
+      remainingMs: 1000,
+    });
+  });
+
+  test('should not start a deadline for a restored game, frozen in a transition', () => {
+    scheduler = new FakeScheduler();
+
+    const config = {
+      stateTransitionWaitTimes: {
+        afterTeamProposition: 1000,
+        afterTeamVoting: 1000,
+        afterQuestVoting: 1000,
+      },
+      scheduler,
+    };
+    const client = new GameClient({...config, seed: 2});
+
+    _.times(5, i => client.addPlayer(`user-${i}`));
+    client.start();
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+
+    const restored = GameClient.restore(client.snapshot(), {
+      ...config,
+      deadlines: {teamVoting: 500},
+    });
+
+    expect(restored.serialize('user-0').deadline).toBeNull();
+
+    scheduler.advanceBy(1000);
+
+    expect(restored.serialize('user-0').deadline.state).toStrictEqual(GameState.TeamVoting);
+  });
+});
+
+describe('player replacement', () => {
+  let client: GameClient;
+  beforeEach(() => {
+    client = new GameClient(instantConfig);
+
+    _.times(5, i => client.addPlayer(`user-${i}`));
+  });
+
+  test('should not replace the players before the game is started', () => {
+    expect(() => client.replacePlayer('user-1', 'user-9'))
+      .toThrow(fromErrors.NoTimeForReplacementError);
+  });
+
+  test('should reject the missing and the existing players', () => {
+    client.start();
+
+    expect(() => client.replacePlayer('user-9', 'user-8'))
+      .toThrow(fromErrors.PlayerMissingError);
+    expect(() => client.replacePlayer('user-1', 'user-2'))
+      .toThrow(fromErrors.AlreadyExistsPlayerError);
+  });
+
+  test('should hand the seat, the role and the votes over to the new player', () => {
+    client.start();
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+    voteAllForTeam(client, false);
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+    client.voteForTeam('user-1', true);
+
+    const roleId = client.snapshot().players.collection[1].roleId;
+
+    client.replacePlayer('user-1', 'user-9');
+
+    const snapshot = client.snapshot();
+
+    expect(snapshot.players.collection[1]).toEqual({
+      id: 'user-9',
+      roleId,
+      vote: {id: 'user-9', value: true},
+    });
+    expect(snapshot.players.proposedPlayerIds).toEqual(['user-9', 'user-2']);
+    expect(snapshot.quests.collection[0].teamVoteRounds[0][1].id).toStrictEqual('user-9');
+    expect(() => client.serialize('user-1')).toThrow(fromErrors.PlayerMissingError);
+    expect(() => client.voteForTeam('user-9', true))
+      .toThrow(fromErrors.DeniedTeamVotingError);
+  });
+
+  test('should replace the players while the game is paused', () => {
+    client.start();
+    client.pause();
+
+    expect(() => client.replacePlayer('user-1', 'user-9')).not.toThrow();
+    expect(client.serialize('user-9').isPaused).toBeTruthy();
+    expect(() => client.voteForTeam('user-9', true)).toThrow(fromErrors.PausedGameError);
+  });
+
+  test('should replace the players while paused during a delayed transition', () => {
+    const scheduler = new FakeScheduler();
+
+    client = new GameClient({
+      stateTransitionWaitTimes: {
+        afterTeamProposition: 1000,
+        afterTeamVoting: 1000,
+        afterQuestVoting: 1000,
+      },
+      scheduler,
+    });
+
+    _.times(5, i => client.addPlayer(`user-${i}`));
+    client.start();
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+    client.pause();
+    client.replacePlayer('user-1', 'user-9');
+    client.resume();
+    scheduler.runAll();
+
+    expect(client.snapshot().players.proposedPlayerIds).toEqual(['user-9', 'user-2']);
+    expect(() => client.voteForTeam('user-9', true)).not.toThrow();
+  });
+
+  test('should not replace the players once the game is disposed', () => {
+    client.start();
+    client.dispose();
+
+    expect(() => client.replacePlayer('user-1', 'user-9'))
+      .toThrow(fromErrors.DisposedGameError);
+  });
+
+  test('should list the replacements in the serialized state', () => {
+    const listener = jest.fn();
+    client.on(GameEvent.PlayerReplaced, listener);
+
+    client.start();
+    client.replacePlayer('user-1', 'user-9');
+
+    expect(client.serialize('user-9').players.replacements).toEqual([
+      {formerPlayerId: 'user-1', playerId: 'user-9'},
+    ]);
+    expect(listener).toBeCalledWith({formerPlayerId: 'user-1', playerId: 'user-9'});
+  });
+
+  test('should survive a restore and a replay', () => {
+    client.start();
+    client.replacePlayer('user-1', 'user-9');
+
+    const restored = GameClient.restore(client.snapshot(), instantConfig);
+
+    expect(restored.serialize('user-9')).toEqual(client.serialize('user-9'));
+    expect(GameReplayer.replay(client.getActionLog()).snapshot().players)
+      .toEqual(client.snapshot().players);
+  });
+});
+
+describe('history and report', () => {
+  let client: GameClient;
+  beforeEach(() => {
+    client = new GameClient({...instantConfig, seed: 4});
+
+    _.times(5, i => client.addPlayer(`user-${i}`));
+
+    client.start();
+  });
+
+  const winQuests = () => {
+    [['user-1', 'user-2'], ['user-1', 'user-2', 'user-3'], ['user-1', 'user-2']]
+      .forEach((ids) => {
+        proposeAndSubmitTeam(client, ids);
+        voteAllForTeam(client, true);
+        ids.forEach(id => client.voteForQuest(id, true));
+      });
+  };
+
+  test('should record every proposal along with the votes', () => {
+    const leaderId = getLeaderId(client);
+
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+    voteAllForTeam(client, false);
+    proposeAndSubmitTeam(client, ['user-3', 'user-4']);
+
+    expect(client.serialize('user-0').history.proposals).toEqual([
+      {
+        questIndex: 0,
+        teamVotingRoundIndex: 0,
+        leaderId,
+        teammateIds: ['user-1', 'user-2'],
+        votes: _.times(5, i => ({id: `user-${i}`, value: false})),
+        approved: false,
+      },
+      {
+        questIndex: 0,
+        teamVotingRoundIndex: 1,
+        leaderId,
+        teammateIds: ['user-3', 'user-4'],
+        votes: [],
+        approved: null,
+      },
+    ]);
+  });
+
+  test('should record the quest results, concealing who has failed', () => {
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+    voteAllForTeam(client, true);
+    client.voteForQuest('user-1', false);
+    client.voteForQuest('user-2', true);
+
+    expect(client.serialize('user-0').history.questResults).toEqual([{
+      questIndex: 0,
+      teammateIds: ['user-1', 'user-2'],
+      status: QuestStatus.Lost,
+      failsCount: 1,
+      votes: [{id: 'user-1', value: null}, {id: 'user-2', value: null}],
+    }]);
+  });
+
+  test('should not report an unfinished game', () => {
+    expect(() => client.getReport()).toThrow(fromErrors.NoTimeForReportError);
+  });
+
+  test('should report the roles and reveal the complete history, once finished', () => {
+    winQuests();
+
+    const players    = client.snapshot().players.collection;
+    const assassinId = players.find(p => p.roleId === RoleId.Assassin).id;
+    const victimId   = players.find(p => p.roleId !== RoleId.Merlin && p.id !== assassinId).id;
+
+    client.toggleVictimProposition(assassinId, victimId);
+    client.assassinate(assassinId);
+
+    const report = client.getReport();
+
+    expect(report.status).toStrictEqual(GameStatus.Won);
+    expect(report.winningLoyalty).toStrictEqual(Loyalty.Good);
+    expect(report.players.map(p => p.role.id)).toEqual(players.map(p => p.roleId));
+    expect(report.history.questResults[0].votes).toEqual([
+      {id: 'user-1', value: true},
+      {id: 'user-2', value: true},
+    ]);
+    expect(report.history.assassination).toEqual({assassinId, victimId, succeeded: false});
+    expect(client.serialize('user-0').history).toEqual(report.history);
+  });
+
+  test('should keep the history in the snapshot', () => {
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+    voteAllForTeam(client, false);
+
+    const restored = GameClient.restore(client.snapshot(), instantConfig);
+
+    expect(restored.serialize('user-0').history).toEqual(client.serialize('user-0').history);
+  });
+});
+
+describe('events', () => {
+  let client: GameClient;
+  let listener: jest.Mock;
+  beforeEach(() => {
+    client   = new GameClient({...instantConfig, seed: 7});
+    listener = jest.fn();
+  });
+
+  const startGame = () => {
+    _.times(5, i => client.addPlayer(`user-${i}`));
+
+    client.start();
+  };
+
+  test('should pass the player id upon joining and leaving', () => {
+    client.on(GameEvent.PlayerJoined, listener);
+    client.on(GameEvent.PlayerLeft, listener);
+
+    client.addPlayer('user-0');
+    client.removePlayer('user-0');
+    client.removePlayer('user-0');
+
+    expect(listener.mock.calls).toEqual([
+      [{playerId: 'user-0'}],
+      [{playerId: 'user-0'}],
+    ]);
+  });
+
+  test('should announce the first leader', () => {
+    client.on(GameEvent.LeaderChanged, listener);
+
+    startGame();
+
+    expect(listener).toBeCalledWith({leaderId: getLeaderId(client)});
+  });
+
+  test('should announce the teammate propositions and the submission', () => {
+    startGame();
+
+    const leaderId = getLeaderId(client);
+
+    client.on(GameEvent.TeammateProposed, listener);
+    client.on(GameEvent.TeammateUnproposed, listener);
+    client.on(GameEvent.TeamSubmitted, listener);
+
+    client.toggleTeammateProposition(leaderId, 'user-1');
+    client.toggleTeammateProposition(leaderId, 'user-1');
+    client.toggleTeammateProposition(leaderId, 'user-2');
+    client.toggleTeammateProposition(leaderId, 'user-3');
+    client.submitTeam(leaderId);
+
+    expect(listener.mock.calls).toEqual([
+      [{leaderId, playerId: 'user-1'}],
+      [{leaderId, playerId: 'user-1'}],
+      [{leaderId, playerId: 'user-2'}],
+      [{leaderId, playerId: 'user-3'}],
+      [{leaderId, teammateIds: ['user-2', 'user-3']}],
+    ]);
+  });
+
+  test('should un-propose every teammate upon reset', () => {
+    startGame();
+
+    const leaderId = getLeaderId(client);
+
+    client.toggleTeammateProposition(leaderId, 'user-1');
+    client.toggleTeammateProposition(leaderId, 'user-2');
+
+    client.on(GameEvent.TeammateUnproposed, listener);
+    client.resetProposedTeammates(leaderId);
+
+    expect(listener).toBeCalledTimes(2);
+  });
+
+  test('should not reveal the team votes until everybody has voted', () => {
+    startGame();
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+
+    const onResolved = jest.fn();
+    client.on(GameEvent.TeamVoteCast, listener);
+    client.on(GameEvent.TeamVoteResolved, onResolved);
+
+    client.voteForTeam('user-0', false);
+
+    expect(listener).toBeCalledWith({playerId: 'user-0'});
+    expect(onResolved).not.toBeCalled();
+  });
+
+  test('should pass the full tally and advance the vote tracker upon rejection', () => {
+    startGame();
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+
+    const onAdvanced = jest.fn();
+    client.on(GameEvent.TeamVoteResolved, listener);
+    client.on(GameEvent.VoteTrackerAdvanced, onAdvanced);
+
+    _.times(5, i => client.voteForTeam(`user-${i}`, i === 0));
+
+    expect(listener).toBeCalledWith({
+      questIndex: 0,
+      teamVotingRoundIndex: 0,
+      approved: false,
+      votes: _.times(5, i => ({id: `user-${i}`, value: i === 0})),
+    });
+    expect(onAdvanced).toBeCalledWith({questIndex: 0, teamVotingRoundIndex: 1});
+  });
+
+  test('should pass the fails count of a resolved quest', () => {
+    startGame();
+    proposeAndSubmitTeam(client, ['user-1', 'user-2']);
+    voteAllForTeam(client, true);
+
+    client.on(GameEvent.QuestResolved, listener);
+
+    client.voteForQuest('user-1', false);
+    client.voteForQuest('user-2', true);
+
+    expect(listener).toBeCalledWith({
+      questIndex: 0,
+      status: QuestStatus.Lost,
+      failsCount: 1,
+    });
+  });
+
+  test('should announce the victim and the end of the game', () => {
+    startGame();
+
+    [['user-1', 'user-2'], ['user-1', 'user-2', 'user-3'], ['user-1', 'user-2']]
+      .forEach((ids) => {
+        proposeAndSubmitTeam(client, ids);
+        voteAllForTeam(client, true);
+        ids.forEach(id => client.voteForQuest(id, true));
+      });
+
+    const players    = client.snapshot().players.collection;
+    const assassinId = players.find(p => p.roleId === RoleId.Assassin).id;
+    const merlinId   = players.find(p => p.roleId === RoleId.Merlin).id;
+
+    const onFinished = jest.fn();
+    client.on(GameEvent.VictimProposed, listener);
+    client.on(GameEvent.GameFinished, onFinished);
+
+    client.toggleVictimProposition(assassinId, merlinId);
+    client.assassinate(assassinId);
+
+    expect(listener).toBeCalledWith({assassinId, victimId: merlinId});
+    expect(onFinished).toBeCalledWith({status: GameStatus.Lost});
+  });
+});
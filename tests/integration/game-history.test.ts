@@ -0,0 +1,74 @@
+import { GameHistory } from '../../src/game-history';
+import { Vote } from '../../src/vote';
+import { QuestStatus } from '../../src/enums/quest-status';
+
+let history: GameHistory;
+beforeEach(() => {
+  history = new GameHistory();
+});
+
+test('should record a proposal and its outcome', () => {
+  history.addProposal(0, 0, 'user-1', ['user-1', 'user-2']);
+
+  expect(history.serialize(true).proposals[0]).toEqual({
+    questIndex: 0,
+    teamVotingRoundIndex: 0,
+    leaderId: 'user-1',
+    teammateIds: ['user-1', 'user-2'],
+    votes: [],
+    approved: null,
+  });
+
+  history.resolveProposal(0, 0, [new Vote('user-1', true), new Vote('user-2', false)], false);
+
+  expect(history.serialize(true).proposals[0]).toMatchObject({
+    votes: [{id: 'user-1', value: true}, {id: 'user-2', value: false}],
+    approved: false,
+  });
+});
+
+test('should ignore the outcome of an unknown proposal', () => {
+  history.resolveProposal(0, 0, [new Vote('user-1', true)], true);
+
+  expect(history.serialize(false).proposals).toEqual([]);
+});
+
+test('should conceal the quest votes, but not the fails count', () => {
+  history.addQuestResult(0, ['user-1', 'user-2'], QuestStatus.Lost, 1, [
+    new Vote('user-1', true),
+    new Vote('user-2', false),
+  ]);
+
+  expect(history.serialize(true).questResults[0]).toEqual({
+    questIndex: 0,
+    teammateIds: ['user-1', 'user-2'],
+    status: QuestStatus.Lost,
+    failsCount: 1,
+    votes: [{id: 'user-1', value: null}, {id: 'user-2', value: null}],
+  });
+  expect(history.serialize(false).questResults[0].votes).toEqual([
+    {id: 'user-1', value: true},
+    {id: 'user-2', value: false},
+  ]);
+});
+
+test('should replace a player id everywhere', () => {
+  history.addProposal(0, 0, 'user-1', ['user-1']);
+  history.resolveProposal(0, 0, [new Vote('user-1', true)], true);
+  history.addQuestResult(0, ['user-1'], QuestStatus.Won, 0, [new Vote('user-1', true)]);
+  history.setAssassination('user-2', 'user-1', true);
+
+  history.replacePlayerId('user-1', 'user-9');
+
+  expect(JSON.stringify(history.snapshot())).not.toContain('user-1');
+});
+
+test('should not be affected by the mutations of the snapshot', () => {
+  history.addProposal(0, 0, 'user-1', ['user-1']);
+
+  const snapshot = history.snapshot();
+  snapshot.proposals[0].teammateIds.push('user-2');
+
+  expect(GameHistory.restore(snapshot).snapshot()).toEqual(snapshot);
+  expect(history.snapshot().proposals[0].teammateIds).toEqual(['user-1']);
+});
@@ -26,6 +26,23 @@ test('should set a creator once', () => {
   expect(gameMeta.serialize().creatorId).toStrictEqual('user-1');
 });
 
+test('should replace the creator id of a restored game', () => {
+  const gameMeta = new GameMetaData();
+
+  gameMeta.setCreatorOnce(new Player('user-1'));
+
+  const restored = GameMetaData.restore(gameMeta.snapshot());
+
+  restored.replaceCreatorId('user-2', 'user-3');
+
+  expect(restored.serialize().creatorId).toStrictEqual('user-1');
+
+  restored.replaceCreatorId('user-1', 'user-3');
+
+  expect(restored.serialize().creatorId).toStrictEqual('user-3');
+  expect(restored.snapshot().creatorId).toStrictEqual('user-3');
+});
+
 test('should set an appropriate level preset', () => {
   const gameMeta = new GameMetaData();
 
@@ -69,6 +86,7 @@ test('should contain the expected keys', () => {
     'creatorId',
     'startedAt',
     'finishedAt',
+    'rules',
   ].sort();
 
   const actual = Object.keys(gameMeta.serialize()).sort();
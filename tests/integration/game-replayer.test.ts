@@ -0,0 +1,151 @@
+import * as _ from 'lodash';
+import { GameAction } from '../../src/enums/game-action';
+import { GameEvent } from '../../src/enums/game-event';
+import { GameState } from '../../src/enums/game-state';
+import * as fromErrors from '../../src/errors';
+import { GameClient } from '../../src/game-client';
+import { GameReplayer } from '../../src/game-replayer';
+import { FakeScheduler } from '../../src/schedulers/fake-scheduler';
+import { GameConfig } from '../../src/types/game-config';
+
+const config: GameConfig = {
+  stateTransitionWaitTimes: {
+    afterTeamProposition: 0,
+    afterTeamVoting: 0,
+    afterQuestVoting: 0,
+  },
+};
+
+function playSomeRounds(client: GameClient) {
+  _.times(6, i => client.addPlayer(`user-${i}`));
+
+  client.start();
+
+  const leaderId = client.serialize('user-0').players.leaderId;
+
+  client.toggleTeammateProposition(leaderId, 'user-1');
+  client.toggleTeammateProposition(leaderId, 'user-2');
+
+  // rejected, because the team is incomplete
+  expect(() => client.voteForTeam('user-1', true)).toThrow();
+
+  client.submitTeam(leaderId);
+
+  _.times(6, i => client.voteForTeam(`user-${i}`, i % 2 === 0));
+}
+
+test('should end up in the same state as the original game', () => {
+  const client = new GameClient({...config, seed: 1234});
+
+  playSomeRounds(client);
+
+  const replayed = GameReplayer.replay(client.getActionLog());
+
+  const original = client.snapshot();
+  const replica  = replayed.snapshot();
+
+  expect(replica.players).toEqual(original.players);
+  expect(replica.quests).toEqual(original.quests);
+  expect(replica.fsm).toEqual(original.fsm);
+});
+
+test('should replay a game with a generated seed', () => {
+  const client = new GameClient(config);
+
+  playSomeRounds(client);
+
+  const replayed = GameReplayer.replay(client.getActionLog());
+
+  expect(replayed.snapshot().players).toEqual(client.snapshot().players);
+});
+
+test('should produce the same action log as the original game, except for the rejected actions', () => {
+  const client = new GameClient(config);
+
+  playSomeRounds(client);
+
+  const log      = client.getActionLog();
+  const replayed = GameReplayer.replay(log);
+
+  expect(replayed.getActionLog()).toEqual({
+    ...log,
+    entries: log.entries.filter(entry => !entry.error),
+  });
+});
+
+test('should replay the actions, performed by the event listeners in the middle of another action', () => {
+  const client = new GameClient({...config, seed: 1234});
+
+  const proposeOnStart = () => {
+    const serialized = client.serialize('user-0');
+
+    if (serialized.state !== GameState.TeamProposition) {
+      return;
+    }
+
+    client.off(GameEvent.StateChange, proposeOnStart);
+    client.toggleTeammateProposition(serialized.players.leaderId, 'user-1');
+  };
+
+  client.on(GameEvent.StateChange, proposeOnStart);
+
+  _.times(5, i => client.addPlayer(`user-${i}`));
+
+  client.start();
+
+  const replayed = GameReplayer.replay(client.getActionLog());
+
+  expect(client.getActionLog().entries.map(entry => entry.action).slice(-2))
+    .toEqual([GameAction.Start, GameAction.ToggleTeammateProposition]);
+  expect(_.omit(replayed.serialize('user-0'), 'meta'))
+    .toEqual(_.omit(client.serialize('user-0'), 'meta'));
+});
+
+test('should replay the expired deadlines', () => {
+  const scheduler = new FakeScheduler();
+  const client    = new GameClient({
+    ...config,
+    seed: 1234,
+    scheduler,
+    deadlines: {teamProposition: 1000, teamVoting: 1000},
+  });
+
+  _.times(5, i => client.addPlayer(`user-${i}`));
+  client.start();
+
+  // the turn passes to the next leader
+  scheduler.advanceBy(1000);
+
+  const leaderId = client.serialize('user-0').players.leaderId;
+
+  client.toggleTeammateProposition(leaderId, 'user-1');
+  client.toggleTeammateProposition(leaderId, 'user-2');
+  client.submitTeam(leaderId);
+  client.voteForTeam('user-0', true);
+
+  // the missing team votes count as rejections
+  scheduler.advanceBy(1000);
+
+  const replayed = GameReplayer.replay(client.getActionLog());
+
+  expect(client.getActionLog().entries.filter(e => e.action === GameAction.ExpireDeadline))
+    .toEqual([
+      {action: GameAction.ExpireDeadline, args: [GameState.TeamProposition], error: null},
+      {action: GameAction.ExpireDeadline, args: [GameState.TeamVoting], error: null},
+    ]);
+  expect(replayed.snapshot().players).toEqual(client.snapshot().players);
+  expect(replayed.snapshot().quests).toEqual(client.snapshot().quests);
+  expect(replayed.getActionLog()).toEqual(client.getActionLog());
+});
+
+test('should throw if the log has no seed and no source of random numbers is given', () => {
+  const client = new GameClient({...config, random: Math.random});
+
+  client.addPlayer('user-0');
+
+  expect(() => GameReplayer.replay(client.getActionLog()))
+    .toThrow(fromErrors.RequiredSeedError);
+  expect(() => GameReplayer.replay(client.getActionLog(), {...config, random: Math.random}))
+    .not
+    .toThrow();
+});
@@ -13,6 +13,10 @@ test('should emit an event upon assassination', () => {
 
   state.toggleVictimProposition(game, 'user-1', 'user-2');
 
-  expect(game.emit).toBeCalledTimes(1);
-  expect(game.emit).toBeCalledWith(GameEvent.StateChange);
+  expect(game.emit).toBeCalledTimes(2);
+  expect(game.emit).toBeCalledWith(GameEvent.VictimProposed, {
+    assassinId: 'user-1',
+    victimId: undefined,
+  });
+  expect(game.emit).toHaveBeenLastCalledWith(GameEvent.StateChange);
 });
@@ -3,6 +3,7 @@ import { Game } from '../../../src/game';
 import { GameState } from '../../../src/enums/game-state';
 import { GameEvent } from '../../../src/enums/game-event';
 import { GameStateTransitionWaitTimes } from '../../../src/types/game-state-transition-wait-times';
+import { FakeScheduler } from '../../../src/schedulers/fake-scheduler';
 
 describe('initialization', () => {
   test('should throw an error upon transition the machine is not initialized', () => {
@@ -138,6 +139,12 @@ describe('timed transitions', () => {
       expectedWait: 1000,
       actualWait: {afterQuestVoting: 1000},
     },
+    {
+      from: GameState.QuestVoting,
+      to: GameState.LadyOfTheLake,
+      expectedWait: 1000,
+      actualWait: {afterQuestVoting: 1000},
+    },
   ];
 
   let game: Game;
@@ -207,6 +214,7 @@ describe('instant transitions', () => {
     {from: GameState.Assassination, to: GameState.GameLost},
     {from: GameState.Assassination, to: GameState.GameWon},
     {from: GameState.QuestVoting, to: GameState.GameLost},
+    {from: GameState.LadyOfTheLake, to: GameState.TeamProposition},
   ];
 
   let game: Game;
@@ -258,3 +266,117 @@ describe('instant transitions', () => {
     });
   });
 });
+
+describe('scheduler', () => {
+  let game: Game;
+  let scheduler: FakeScheduler;
+  let machine: GameStateMachine;
+  beforeEach(() => {
+    game      = new Game();
+    scheduler = new FakeScheduler();
+    machine   = new GameStateMachine({
+      afterTeamProposition: 1000,
+      afterTeamVoting: 1000,
+      afterQuestVoting: 1000,
+    }, scheduler);
+
+    machine.init(game, GameState.TeamVoting);
+  });
+
+  test('should schedule the transition with the given scheduler', () => {
+    machine.transitionTo(GameState.QuestVoting);
+
+    const spy = jest.spyOn(game, 'setState');
+
+    scheduler.advanceBy(999);
+
+    expect(spy).not.toBeCalled();
+
+    scheduler.advanceBy(1);
+
+    expect(spy).toBeCalled();
+  });
+
+  test('should serialize the pending transition', () => {
+    expect(machine.serializePendingTransition()).toBeNull();
+
+    machine.transitionTo(GameState.QuestVoting);
+    scheduler.advanceBy(400);
+
+    expect(machine.serializePendingTransition()).toEqual({
+      firesAt: 1000,
+      remainingMs: 600,
+    });
+
+    scheduler.advanceBy(600);
+
+    expect(machine.serializePendingTransition()).toBeNull();
+  });
+
+  test('should hold the pending transition while paused', () => {
+    machine.transitionTo(GameState.QuestVoting);
+    scheduler.advanceBy(400);
+
+    machine.pause();
+
+    const spy = jest.spyOn(game, 'setState');
+
+    scheduler.advanceBy(5000);
+
+    expect(spy).not.toBeCalled();
+    expect(machine.serializePendingTransition()).toEqual({
+      firesAt: null,
+      remainingMs: 600,
+    });
+
+    machine.resume();
+
+    scheduler.advanceBy(599);
+
+    expect(spy).not.toBeCalled();
+
+    scheduler.advanceBy(1);
+
+    expect(spy).toBeCalled();
+  });
+
+  test('should not schedule the transitions, that start while paused, until resumed', () => {
+    machine.pause();
+
+    machine.transitionTo(GameState.QuestVoting);
+
+    expect(scheduler.getPendingCount()).toStrictEqual(0);
+
+    machine.resume();
+
+    expect(scheduler.getPendingCount()).toStrictEqual(1);
+  });
+
+  test('should fire an event upon pausing and resuming', () => {
+    let i = 0;
+
+    machine.on(GameEvent.StateChange, () => i++);
+
+    machine.pause();
+    machine.pause();
+
+    expect(i).toStrictEqual(1);
+
+    machine.resume();
+
+    expect(i).toStrictEqual(2);
+  });
+
+  test('should cancel the pending transition upon disposal', () => {
+    machine.transitionTo(GameState.QuestVoting);
+
+    const spy = jest.spyOn(game, 'setState');
+
+    machine.dispose();
+
+    scheduler.runAll();
+
+    expect(spy).not.toBeCalled();
+    expect(machine.getIsDisposed()).toBeTruthy();
+  });
+});
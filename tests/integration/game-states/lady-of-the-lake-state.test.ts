@@ -0,0 +1,106 @@
+import * as fromErrors from '../../../src/errors';
+import { Game } from '../../../src/game';
+import { PlayersManager } from '../../../src/players-manager';
+import { QuestsManager } from '../../../src/quests-manager';
+import { GameMetaData } from '../../../src/game-meta-data';
+import { GameStateMachine } from '../../../src/game-states/game-state-machine';
+import { PreparationState } from '../../../src/game-states/preparation-state';
+import { GameHelper } from '../../helpers/game.helper';
+import { Loyalty } from '../../../src/enums/loyalty';
+
+let game: Game;
+let playersManager: PlayersManager;
+beforeEach(() => {
+  playersManager = new PlayersManager();
+  game           = new Game(
+    playersManager,
+    new QuestsManager(),
+    new GameMetaData(),
+    new GameStateMachine({
+      afterTeamProposition: 0,
+      afterTeamVoting: 0,
+      afterQuestVoting: 0,
+    }),
+    new PreparationState(),
+  );
+
+  GameHelper.fillPlayers(game, 7);
+});
+
+const getHolderId = () => game.serialize('user-0').players.ladyOfTheLake.holderId;
+
+test('should not be used, unless enabled', () => {
+  game.start();
+
+  GameHelper.passQuestsWithResults(game, [true, false]);
+
+  expect(game.serialize('user-0').players.ladyOfTheLake).toBeNull();
+  expect(() => game.inspectLoyalty('user-0', 'user-1'))
+    .toThrow(fromErrors.NoTimeForInspectionError);
+});
+
+test('should hand the token to the player to the right of the leader', () => {
+  game.start([], {ladyOfTheLake: true});
+
+  const players     = playersManager.getAll();
+  const leaderIndex = players.indexOf(playersManager.getLeader());
+
+  expect(getHolderId()).toStrictEqual(players[(leaderIndex + 6) % 7].getId());
+});
+
+test('should only allow the inspection after the 2nd, 3rd and 4th quests', () => {
+  game.start([], {ladyOfTheLake: true});
+
+  GameHelper.passQuestsWithResults(game, [true]);
+
+  expect(() => game.inspectLoyalty(getHolderId(), 'nonexistent'))
+    .toThrow(fromErrors.NoTimeForInspectionError);
+
+  [false, true, false].forEach((result) => {
+    GameHelper.passQuestsWithResults(game, [result]);
+
+    const holderId = getHolderId();
+    const targetId = playersManager.getAll()
+      .map(p => p.getId())
+      .find(id => !game.serialize('user-0').players.ladyOfTheLake.formerHolderIds.includes(id));
+
+    // a proposition is not allowed until the inspection is done
+    expect(() => GameHelper.proposePlayers(game, ['user-1']))
+      .toThrow(fromErrors.NoTimeForTeammatePropositionError);
+
+    game.inspectLoyalty(holderId, targetId);
+
+    expect(getHolderId()).toStrictEqual(targetId);
+  });
+});
+
+test('should reveal the inspected loyalty only to the holder', () => {
+  game.start([], {ladyOfTheLake: true});
+
+  GameHelper.passQuestsWithResults(game, [true, true]);
+
+  const holderId = getHolderId();
+  const target   = playersManager.getAll().find(p => p.getId() !== holderId);
+
+  game.inspectLoyalty(holderId, target.getId());
+
+  const [forHolder] = game.serialize(holderId).players.ladyOfTheLake.inspections;
+  const [forTarget] = game.serialize(target.getId()).players.ladyOfTheLake.inspections;
+
+  expect(forHolder.loyalty).toStrictEqual(target.getRole().getLoyalty());
+  expect(forTarget.loyalty).toStrictEqual(Loyalty.Unknown);
+});
+
+test('should move on to the team proposition after the inspection', () => {
+  game.start([], {ladyOfTheLake: true});
+
+  GameHelper.passQuestsWithResults(game, [true, true]);
+
+  const holderId = getHolderId();
+  const targetId = playersManager.getAll().find(p => p.getId() !== holderId).getId();
+
+  game.inspectLoyalty(holderId, targetId);
+
+  expect(() => GameHelper.proposePlayers(game, ['user-1'])).not.toThrow();
+  expect(game.getQuestsManager().getCurrentQuestIndex()).toStrictEqual(2);
+});
@@ -14,8 +14,9 @@ test('should emit an event upon adding a player', () => {
 
   state.addPlayer(game, 'user-1');
 
-  expect(game.emit).toBeCalledTimes(1);
-  expect(game.emit).toBeCalledWith(GameEvent.StateChange);
+  expect(game.emit).toBeCalledTimes(2);
+  expect(game.emit).toBeCalledWith(GameEvent.PlayerJoined, {playerId: 'user-1'});
+  expect(game.emit).toHaveBeenLastCalledWith(GameEvent.StateChange);
 });
 
 test('should emit an event upon removing a player', () => {
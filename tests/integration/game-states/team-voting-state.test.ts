@@ -18,6 +18,7 @@ test('should emit an event upon team proposition', () => {
 
   state.voteForTeam(game, 'user-1', true);
 
-  expect(game.emit).toBeCalledTimes(1);
-  expect(game.emit).toBeCalledWith(GameEvent.StateChange);
+  expect(game.emit).toBeCalledTimes(2);
+  expect(game.emit).toBeCalledWith(GameEvent.TeamVoteCast, {playerId: 'user-1'});
+  expect(game.emit).toHaveBeenLastCalledWith(GameEvent.StateChange);
 });
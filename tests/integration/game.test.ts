@@ -11,6 +11,8 @@ import { PlayersManagerHelper } from '../helpers/players-manager.helper';
 import { GameStatus } from '../../src/enums/game-status';
 import { GameState } from '../../src/enums/game-state';
 import { GameEvent } from '../../src/enums/game-event';
+import { RoleId } from '../../src/enums/role-id';
+import { RolesAssigner } from '../../src/roles-assigner';
 
 describe('initialization', () => {
   test('should contain a meta data object', () => {
@@ -50,6 +52,73 @@ describe('game start', () => {
     expect(() => game.start()).toThrow(fromErrors.PlayersAmountIncorrectError);
   });
 
+  test('should not start the game if too many evil roles are requested', () => {
+    const game = new Game();
+
+    GameHelper.fillPlayers(game, 5);
+
+    expect(() => game.start([RoleId.Mordred, RoleId.Morgana, RoleId.Oberon]))
+      .toThrow(fromErrors.EvilRolesExceededError);
+    expect(game.getMetaData().serialize().startedAt).toBeNull();
+  });
+
+  test('should not start the game if too many good roles are requested', () => {
+    const game = new Game();
+
+    GameHelper.fillPlayers(game, 5);
+
+    expect(() => game.start([RoleId.Percival, RoleId.Morgana, RoleId.Servant_1, RoleId.Servant_2]))
+      .toThrow(fromErrors.GoodRolesExceededError);
+  });
+
+  test('should not start the game if an unknown role is requested', () => {
+    const game = new Game();
+
+    GameHelper.fillPlayers(game, 5);
+
+    expect(() => game.start(['Lancelot'])).toThrow(fromErrors.UnknownRoleError);
+    expect(() => game.start([RoleId.Unknown])).toThrow(fromErrors.UnknownRoleError);
+  });
+
+  test('should warn, but start the game if Percival is requested without Morgana', () => {
+    const game     = new Game();
+    const listener = jest.fn();
+
+    GameHelper.fillPlayers(game, 7);
+    game.on(GameEvent.RoleSetupWarning, listener);
+
+    expect(() => game.start([RoleId.Percival])).not.toThrow();
+    expect(game.getFsm().getState()).toStrictEqual(GameState.TeamProposition);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({
+      roleId: RoleId.Percival,
+      missingRoleIds: [RoleId.Morgana],
+    });
+  });
+
+  test('should validate the requested roles once', () => {
+    const game = new Game();
+    const spy  = jest.spyOn(RolesAssigner, 'validate');
+
+    GameHelper.fillPlayers(game, 7);
+    game.start([RoleId.Percival, RoleId.Morgana]);
+
+    expect(spy).toHaveBeenCalledTimes(1);
+
+    spy.mockRestore();
+  });
+
+  test('should not warn if Percival is requested along with Morgana', () => {
+    const game     = new Game();
+    const listener = jest.fn();
+
+    GameHelper.fillPlayers(game, 7);
+    game.on(GameEvent.RoleSetupWarning, listener);
+    game.start([RoleId.Percival, RoleId.Morgana]);
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
   test('should assign roles', () => {
     const playersManager = new PlayersManager();
     const game           = new Game(playersManager);
@@ -507,9 +576,14 @@ describe('serialization', () => {
     game.addPlayer('user-1');
 
     const expected = {
+      state: GameState.Preparation,
       meta: game.getMetaData().serialize(),
       quests: questsManager.serialize(false),
       players: playersManager.serialize('user-1', false),
+      isPaused: false,
+      pendingTransition: game.getFsm().serializePendingTransition(),
+      deadline: game.getFsm().serializeDeadline(),
+      history: game.getHistory().serialize(true),
     };
 
     const actual = game.serialize('user-1');
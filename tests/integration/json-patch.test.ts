@@ -0,0 +1,54 @@
+import { JsonPatch } from '../../src/json-patch';
+
+describe('diff', () => {
+  test('should return no operations for equal documents', () => {
+    expect(JsonPatch.diff({a: [1, {b: 2}]}, {a: [1, {b: 2}]})).toEqual([]);
+  });
+
+  test('should add, remove and replace the keys', () => {
+    expect(JsonPatch.diff({a: 1, b: 2}, {b: 3, c: 4})).toEqual([
+      {op: 'remove', path: '/a'},
+      {op: 'replace', path: '/b', value: 3},
+      {op: 'add', path: '/c', value: 4},
+    ]);
+  });
+
+  test('should compare the arrays of the same length item by item', () => {
+    expect(JsonPatch.diff({a: [1, 2]}, {a: [1, 3]})).toEqual([
+      {op: 'replace', path: '/a/1', value: 3},
+    ]);
+  });
+
+  test('should replace the arrays of different lengths', () => {
+    expect(JsonPatch.diff({a: [1]}, {a: [1, 2]})).toEqual([
+      {op: 'replace', path: '/a', value: [1, 2]},
+    ]);
+  });
+
+  test('should escape the keys', () => {
+    expect(JsonPatch.diff({}, {'a/b~c': 1})).toEqual([
+      {op: 'add', path: '/a~1b~0c', value: 1},
+    ]);
+  });
+});
+
+describe('apply', () => {
+  test('should turn one document into another', () => {
+    const from = {a: 1, b: [1, {c: 0}], 'd/e': {f: 'g'}};
+    const to   = {b: [1, {c: 2}, 3], 'd/e': {f: 'h', i: true}};
+
+    expect(JsonPatch.apply(from, JsonPatch.diff(from, to))).toEqual(to);
+  });
+
+  test('should replace the entire document', () => {
+    expect(JsonPatch.apply(1, JsonPatch.diff(1, {a: 1}))).toEqual({a: 1});
+  });
+
+  test('should not mutate the document', () => {
+    const from = {a: {b: 1}};
+
+    JsonPatch.apply(from, [{op: 'replace', path: '/a/b', value: 2}]);
+
+    expect(from).toEqual({a: {b: 1}});
+  });
+});
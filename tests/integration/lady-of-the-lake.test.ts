@@ -0,0 +1,89 @@
+import * as fromErrors from '../../src/errors';
+import { LadyOfTheLake } from '../../src/lady-of-the-lake';
+import { Player } from '../../src/player';
+import { Role } from '../../src/role';
+import { RoleId } from '../../src/enums/role-id';
+import { Loyalty } from '../../src/enums/loyalty';
+
+let merlin: Player;
+let assassin: Player;
+let servant: Player;
+let ladyOfTheLake: LadyOfTheLake;
+beforeEach(() => {
+  merlin   = new Player('user-1', new Role(RoleId.Merlin));
+  assassin = new Player('user-2', new Role(RoleId.Assassin));
+  servant  = new Player('user-3', new Role(RoleId.Servant_1));
+
+  ladyOfTheLake = new LadyOfTheLake(merlin);
+});
+
+test('should reveal the loyalty of the target', () => {
+  expect(ladyOfTheLake.inspect(merlin, assassin)).toStrictEqual(Loyalty.Evil);
+});
+
+test('should pass the token to the target', () => {
+  ladyOfTheLake.inspect(merlin, assassin);
+
+  expect(ladyOfTheLake.getHolder()).toBe(assassin);
+});
+
+test('should only allow the holder to inspect', () => {
+  expect(() => ladyOfTheLake.inspect(servant, assassin))
+    .toThrow(fromErrors.DeniedInspectionError);
+});
+
+test('should throw if the target does not exist', () => {
+  expect(() => ladyOfTheLake.inspect(merlin, undefined))
+    .toThrow(fromErrors.PlayerMissingError);
+});
+
+test('should not allow the holder to inspect themselves', () => {
+  expect(() => ladyOfTheLake.inspect(merlin, merlin))
+    .toThrow(fromErrors.DeniedSelfInspectionError);
+});
+
+test('should not allow to inspect a former holder', () => {
+  ladyOfTheLake.inspect(merlin, assassin);
+
+  expect(() => ladyOfTheLake.inspect(assassin, merlin))
+    .toThrow(fromErrors.DeniedFormerHolderInspectionError);
+});
+
+describe('serialization', () => {
+  beforeEach(() => {
+    ladyOfTheLake.inspect(merlin, assassin);
+  });
+
+  test('should reveal the result to the inspector', () => {
+    expect(ladyOfTheLake.serialize(merlin, true)).toEqual({
+      holderId: 'user-2',
+      formerHolderIds: ['user-1', 'user-2'],
+      inspections: [
+        {inspectorId: 'user-1', targetId: 'user-2', loyalty: Loyalty.Evil},
+      ],
+    });
+  });
+
+  test('should conceal the result from everybody else', () => {
+    const [inspection] = ladyOfTheLake.serialize(assassin, true).inspections;
+
+    expect(inspection.loyalty).toStrictEqual(Loyalty.Unknown);
+  });
+
+  test('should reveal the result to everybody, when the roles are revealed', () => {
+    const [inspection] = ladyOfTheLake.serialize(servant, false).inspections;
+
+    expect(inspection.loyalty).toStrictEqual(Loyalty.Evil);
+  });
+});
+
+test('should be restored from a snapshot', () => {
+  ladyOfTheLake.inspect(merlin, assassin);
+
+  const restored = LadyOfTheLake.restore(
+    ladyOfTheLake.snapshot(),
+    [merlin, assassin, servant],
+  );
+
+  expect(restored.serialize(merlin, true)).toEqual(ladyOfTheLake.serialize(merlin, true));
+});
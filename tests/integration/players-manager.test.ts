@@ -422,6 +422,8 @@ describe('serialization', () => {
       'leaderId',
       'isSubmitted',
       'victimId',
+      'ladyOfTheLake',
+      'replacements',
     ].sort();
 
     const actual = Object.keys(manager.serialize('user-1', true)).sort();
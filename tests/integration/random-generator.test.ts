@@ -0,0 +1,42 @@
+import * as _ from 'lodash';
+import { RandomGenerator } from '../../src/random-generator';
+
+test('should produce the same sequence for the same seed', () => {
+  const a = RandomGenerator.fromSeed(42);
+  const b = RandomGenerator.fromSeed(42);
+
+  _.times(10, () => expect(a.next()).toStrictEqual(b.next()));
+});
+
+test('should produce different sequences for different seeds', () => {
+  const a = RandomGenerator.fromSeed(1);
+  const b = RandomGenerator.fromSeed(2);
+
+  expect(_.times(5, () => a.next())).not.toEqual(_.times(5, () => b.next()));
+});
+
+test('should produce numbers in the range [0, 1)', () => {
+  const random = RandomGenerator.fromSeed(7);
+
+  _.times(100, () => {
+    const value = random.next();
+
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+  });
+});
+
+test('should produce integers within the inclusive bounds', () => {
+  const random = new RandomGenerator(() => 0.9999);
+
+  expect(random.integer(0, 4)).toStrictEqual(4);
+  expect(new RandomGenerator(() => 0).integer(0, 4)).toStrictEqual(0);
+});
+
+test('should shuffle without mutating the original array', () => {
+  const items    = [1, 2, 3, 4, 5];
+  const shuffled = RandomGenerator.fromSeed(3).shuffle(items);
+
+  expect(items).toEqual([1, 2, 3, 4, 5]);
+  expect(_.sortBy(shuffled)).toEqual(items);
+});
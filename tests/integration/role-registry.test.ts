@@ -0,0 +1,115 @@
+import * as fromErrors from '../../src/errors';
+import { RoleRegistry } from '../../src/role-registry';
+import { Role } from '../../src/role';
+import { Loyalty } from '../../src/enums/loyalty';
+import { RoleId } from '../../src/enums/role-id';
+import { RoleConfig } from '../../src/types/role-config';
+
+const lancelot: RoleConfig = {
+  id: 'EvilLancelot',
+  name: 'Evil Lancelot',
+  description: 'Does not know the other evil guys',
+  loyalty: Loyalty.Evil,
+  visibleRoleIds: [],
+};
+
+let registry: RoleRegistry;
+beforeEach(() => {
+  registry = new RoleRegistry();
+});
+
+test('should contain the built-in roles', () => {
+  expect(registry.has(RoleId.Merlin)).toBeTruthy();
+  expect(registry.has('nonexistent')).toBeFalsy();
+});
+
+test('should register a custom role', () => {
+  registry.register(lancelot);
+
+  expect(registry.get(lancelot.id)).toEqual(lancelot);
+});
+
+test('should not register a role twice', () => {
+  registry.register(lancelot);
+
+  expect(() => registry.register(lancelot))
+    .toThrow(fromErrors.AlreadyExistsRoleError);
+  expect(() => registry.register({...lancelot, id: RoleId.Merlin}))
+    .toThrow(fromErrors.AlreadyExistsRoleError);
+});
+
+test('should make the custom role visible to the specified roles', () => {
+  registry.register(lancelot, [RoleId.Merlin]);
+
+  expect(registry.get(RoleId.Merlin).visibleRoleIds).toContain(lancelot.id);
+  expect(registry.get(RoleId.Percival).visibleRoleIds).not.toContain(lancelot.id);
+});
+
+test('should generate as many servants, as a game can take', () => {
+  expect(registry.getServantIds(10)).toContain('Servant_10');
+  expect(registry.get('Servant_10').loyalty).toStrictEqual(Loyalty.Good);
+});
+
+test('should skip the excluded ids', () => {
+  expect(registry.getMinionIds(2, ['Minion_1'])).toEqual(['Minion_2', 'Minion_3']);
+});
+
+test('should make the generated minions see, and be seen by, the other evil guys', () => {
+  const minion4 = registry.get('Minion_4');
+  const minion5 = registry.get('Minion_5');
+
+  expect(minion4.visibleRoleIds).toContain(RoleId.Minion_1);
+  expect(minion4.visibleRoleIds).toContain('Minion_5');
+  expect(minion5.visibleRoleIds).toContain('Minion_4');
+  expect(minion5.visibleRoleIds).not.toContain('Minion_5');
+  expect(registry.get(RoleId.Merlin).visibleRoleIds).toContain('Minion_4');
+  expect(registry.get(RoleId.Minion_1).visibleRoleIds).toContain('Minion_4');
+});
+
+test('should not make the generated servants see anybody', () => {
+  expect(registry.get('Servant_6').visibleRoleIds).toEqual([]);
+  expect(registry.get(RoleId.Servant_1).visibleRoleIds).toEqual([]);
+});
+
+test('should unregister a custom role, along with its visibility', () => {
+  registry.register(lancelot, [RoleId.Merlin]);
+  registry.unregister(lancelot.id);
+
+  expect(registry.has(lancelot.id)).toBeFalsy();
+  expect(registry.get(RoleId.Merlin).visibleRoleIds).not.toContain(lancelot.id);
+  expect(() => registry.register(lancelot)).not.toThrow();
+});
+
+test('should not unregister a built-in or an unknown role', () => {
+  expect(() => registry.unregister(RoleId.Merlin)).toThrow(fromErrors.UnknownRoleError);
+  expect(() => registry.unregister('Minion_4')).toThrow(fromErrors.UnknownRoleError);
+  expect(() => registry.unregister(lancelot.id)).toThrow(fromErrors.UnknownRoleError);
+});
+
+test('should not be affected by the mutations of the returned configs', () => {
+  registry.get(RoleId.Merlin).visibleRoleIds.push(lancelot.id);
+  registry.get('Minion_4').visibleRoleIds.push(lancelot.id);
+
+  expect(registry.get(RoleId.Merlin).visibleRoleIds).not.toContain(lancelot.id);
+  expect(registry.get('Minion_4').visibleRoleIds).not.toContain(lancelot.id);
+});
+
+test('should not change the configs when getting them', () => {
+  const merlin = registry.get(RoleId.Merlin);
+
+  registry.get('Minion_9');
+  registry.getMinionIds(9);
+
+  expect(registry.get(RoleId.Merlin)).toEqual(merlin);
+});
+
+test('should not leak the changes between the registries', () => {
+  registry.register(lancelot, [RoleId.Merlin]);
+
+  expect(new RoleRegistry().has(lancelot.id)).toBeFalsy();
+  expect(new RoleRegistry().get(RoleId.Merlin).visibleRoleIds).not.toContain(lancelot.id);
+});
+
+test('should throw when creating a role, that is not registered', () => {
+  expect(() => new Role('nonexistent')).toThrow(fromErrors.UnknownRoleError);
+});
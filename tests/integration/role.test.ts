@@ -60,3 +60,11 @@ test('should return a serialized role', () => {
 
   expect(expected).toEqual(actual);
 });
+
+test('should not share the visible role ids with the other roles', () => {
+  const role = new Role(RoleId.Merlin);
+
+  role.getVisibleRoleIds().push(RoleId.Percival);
+
+  expect(new Role(RoleId.Merlin).getVisibleRoleIds()).not.toContain(RoleId.Percival);
+});
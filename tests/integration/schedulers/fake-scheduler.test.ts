@@ -0,0 +1,69 @@
+import { FakeScheduler } from '../../../src/schedulers/fake-scheduler';
+
+test('should not call back before the delay has passed', () => {
+  const scheduler = new FakeScheduler();
+  const cb        = jest.fn();
+
+  scheduler.schedule(cb, 1000);
+
+  scheduler.advanceBy(999);
+
+  expect(cb).not.toBeCalled();
+
+  scheduler.advanceBy(1);
+
+  expect(cb).toBeCalledTimes(1);
+  expect(scheduler.now()).toStrictEqual(1000);
+});
+
+test('should call back in order of the due time', () => {
+  const scheduler     = new FakeScheduler();
+  const calls: number[] = [];
+
+  scheduler.schedule(() => calls.push(2), 200);
+  scheduler.schedule(() => calls.push(1), 100);
+
+  scheduler.advanceBy(500);
+
+  expect(calls).toEqual([1, 2]);
+});
+
+test('should call back the tasks scheduled by the other tasks, if due', () => {
+  const scheduler = new FakeScheduler();
+  const cb        = jest.fn();
+
+  scheduler.schedule(() => scheduler.schedule(cb, 100), 100);
+
+  scheduler.advanceBy(150);
+
+  expect(cb).not.toBeCalled();
+
+  scheduler.advanceBy(50);
+
+  expect(cb).toBeCalledTimes(1);
+});
+
+test('should cancel a task', () => {
+  const scheduler = new FakeScheduler();
+  const cb        = jest.fn();
+
+  const cancel = scheduler.schedule(cb, 100);
+  cancel();
+
+  scheduler.runAll();
+
+  expect(cb).not.toBeCalled();
+  expect(scheduler.getPendingCount()).toStrictEqual(0);
+});
+
+test('should run every task', () => {
+  const scheduler = new FakeScheduler(50);
+  const cb        = jest.fn();
+
+  scheduler.schedule(() => scheduler.schedule(cb, 1000), 1000);
+
+  scheduler.runAll();
+
+  expect(cb).toBeCalledTimes(1);
+  expect(scheduler.now()).toStrictEqual(2050);
+});